@@ -1,103 +1,217 @@
 const express = require('express');
 const cors = require('cors');
 const WebSocket = require('ws');
-const path = require('path');
-require('dotenv').config();
+const config = require('./config');
+const logger = require('./utils/logger');
+
+// Refuse to take calls with settings the pipeline cannot work with
+try {
+  config.assertServerReady(config);
+} catch (error) {
+  logger.error('Configuration check failed', { errors: error.errors });
+  process.exit(1);
+}
+logger.debug('Effective configuration', { config: config.describe(config) });
+if (!config.twilio.accountSid || !config.twilio.authToken) {
+  logger.warn('No Twilio credentials: outbound calls, transfers and the <Say> fallback will fail');
+}
 
 const voiceRoutes = require('./routes/voice');
+const sessionRoutes = require('./routes/sessions');
 const AudioProcessor = require('./services/audioProcessor');
 const sessionManager = require('./services/sessionManager');
+const twilioAuth = require('./services/twilioAuth');
+const audioTuning = require('./services/audioTuning');
+const recordingStore = require('./services/recordingStore');
+const mediaCapture = require('./services/mediaCapture');
+const metrics = require('./services/metrics');
+const { selectionFromParams } = require('./services/providers');
+const { listVads } = require('./utils/vad');
+const { requireBearerToken } = require('./utils/bearerAuth');
+
+// Providers and VAD strategy named in the <Stream> parameters; unknown names
+// keep the defaults rather than leaving the call without a processor
+function pipelineChoicesFrom(params, log) {
+  const { selection, unknown } = selectionFromParams(params);
+  if (unknown.length > 0) log.warn('Ignoring unknown providers, using defaults', { unknown });
+  let { vadStrategy } = params;
+  if (vadStrategy && !listVads().includes(vadStrategy)) {
+    log.warn('Ignoring unknown VAD strategy, using default', { vadStrategy });
+    vadStrategy = undefined;
+  }
+  return { providers: selection, vadStrategy };
+}
 
 const app = express();
 const server = require('http').createServer(app);
 const wss = new WebSocket.Server({ server });
 
+// req.ip / req.protocol honour X-Forwarded-* only from trusted proxies
+app.set('trust proxy', twilioAuth.trustProxySetting());
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use('/', voiceRoutes);
+app.use('/sessions', sessionRoutes);
+
+// Prometheus scrape endpoint; protected only when METRICS_TOKEN is set
+const metricsAuth = config.metrics.token
+  ? requireBearerToken(config.metrics.token, 'metrics request')
+  : (req, res, next) => next();
+app.get('/metrics', metricsAuth, async (req, res) => {
+  res.set('Content-Type', metrics.register.contentType);
+  res.send(await metrics.register.metrics());
+});
 
 // Store active call sessions
 global.activeSessions = new Map();
 
-// WebSocket connection for Twilio Media Streams
-
-// Serve static files with proper headers
-app.use('/temp', express.static(path.join(__dirname, 'public', 'temp'), {
-  setHeaders: (res, path) => {
-    if (path.endsWith('.wav')) {
-      res.set('Content-Type', 'audio/wav');
-    }
-  }
-}));
+// Utterance recordings over HTTP: off unless enabled, and token-protected
+app.use('/recordings', recordingStore.httpRouter());
 
 // WebSocket connection for Twilio Media Streams
-wss.on('connection', (ws) => {
-  console.log('New WebSocket connection');
+wss.on('connection', (ws, req) => {
+  const sourceIp = twilioAuth.clientIp(req);
+  // Rebound to the call's logger once the stream has started
+  let log = logger.child({ sourceIp });
+  log.info('New WebSocket connection');
   
   let callSid = null;
   let streamSid = null;
   let audioProcessor = null;
+  // Raw stream capture; messages before `start` wait until it is decided
+  let capture = null;
+  let beforeStart = [];
+
+  const rejectStream = (reason) => {
+    log.warn('Rejected media stream', { reason });
+    ws.close(1008, 'Unauthorized');
+  };
+  // Unauthenticated media streams are dropped if no valid start arrives in time
+  const authTimer = setTimeout(() => {
+    if (!audioProcessor) rejectStream('no authenticated start event');
+  }, config.server.streamAuthTimeoutMs);
 
   ws.on('message', async (message) => {
     try {
       const data = JSON.parse(message);
+      if (capture) capture.record('in', data);
+      else if (beforeStart) beforeStart.push({ ts: Date.now(), data });
       
       switch (data.event) {
         case 'connected':
-          console.log('Connected to Twilio Media Stream');
+          log.info('Connected to Twilio Media Stream');
           break;
           
-        case 'start':
+        case 'start': {
+          const params = data.start.customParameters || {};
+          if (twilioAuth.isEnabled()) {
+            const reason = twilioAuth.consumeStreamToken(params.streamToken, data.start.callSid);
+            if (reason) {
+              clearTimeout(authTimer);
+              rejectStream(`${reason} (call ${data.start.callSid})`);
+              return;
+            }
+          }
+          clearTimeout(authTimer);
+
           callSid = data.start.callSid;
           streamSid = data.start.streamSid;
-          console.log(`Starting stream for call ${callSid}`);
+          log = logger.child({ callSid, streamSid });
+          log.info('Starting stream', { sourceIp });
+
+          if (mediaCapture.shouldCapture(params)) {
+            capture = new mediaCapture.MediaCapture(callSid, { logger: log.child({ component: 'mediaCapture' }) });
+            if (capture.active) {
+              beforeStart.forEach(({ ts, data: earlier }) => capture.record('in', earlier, ts));
+              capture.attach(ws);
+            } else {
+              capture = null;
+            }
+          }
+          beforeStart = null;
           
-          // Initialize audio processor for this call
-          audioProcessor = new AudioProcessor(callSid, ws, streamSid);
+          // Initialize audio processor for this call; <Stream> parameters may
+          // pick different STT/RAG/TTS providers
+          const { streamToken, ...publicParams } = params;
+          audioProcessor = new AudioProcessor(callSid, ws, streamSid, {
+            ...pipelineChoicesFrom(params, log),
+            // Set when this stream replaces one the call had before
+            history: sessionManager.takeHeldHistory(callSid),
+            callMetadata: {
+              accountSid: data.start.accountSid,
+              tracks: data.start.tracks,
+              mediaFormat: data.start.mediaFormat,
+              customParameters: publicParams,
+              sourceIp,
+              capturePath: capture ? capture.filePath : undefined,
+            },
+          });
+
+          // Per-call tuning (minRMS, noiseFloor, vadThreshold, ...) from the
+          // <Stream> parameters; invalid values keep the configured defaults
+          const { tuning, errors } = audioTuning.parseTuning(params);
+          if (errors.length > 0) log.warn('Ignoring invalid audio tuning', { errors });
+          if (Object.keys(tuning).length > 0) audioProcessor.adjustAudioParameters(tuning);
+
            // Use session manager
           sessionManager.createSession(callSid, streamSid, ws, audioProcessor);
-          global.activeSessions.set(callSid, { ws: ws, processor: audioProcessor, isProcessing: false});
           break;
+        }
           
         case 'media':
+          // Frames keep flowing while the assistant talks so callers can barge in
           const session = sessionManager.getSession(callSid);
-          if (session && audioProcessor && !global.activeSessions.get(callSid)?.isProcessing) {
+          if (session && audioProcessor) {
             const audioData = Buffer.from(data.media.payload, 'base64');
             await audioProcessor.processAudio(audioData, data.media.payload);
           }
           break;
           
+        case 'mark':
+          // Twilio echoes our marks back once the audio before them has played
+          if (audioProcessor) {
+            audioProcessor.handleMark(data.mark.name);
+          }
+          break;
+
         case 'stop':
-          console.log(`Stream stopped for call ${callSid}`);
+          log.info('Stream stopped');
           if (audioProcessor) {
             audioProcessor.cleanup();
+            await audioProcessor.saveCallRecord('stop');
           }
           sessionManager.deleteSession(callSid);
           global.activeSessions.delete(callSid);
+          if (capture) capture.close();
           break;
       }
     } catch (error) {
-      console.error('WebSocket message error:', error);
+      log.error('WebSocket message error', { error });
     }
   });
 
   ws.on('close', () => {
-    console.log('WebSocket connection closed');
+    clearTimeout(authTimer);
+    log.info('WebSocket connection closed');
+    if (capture) capture.close();
+    // Keep the record even if Twilio never sent a stop event
+    if (audioProcessor) {
+      audioProcessor.saveCallRecord('socket-closed');
+    }
     if (callSid) {
-      global.activeSessions.delete(callSid);
-      if (callSid) {
-          sessionManager.deleteSession(callSid);
-      }
+      // deleteSession also removes the global entry and counts the call as ended
+      sessionManager.deleteSession(callSid);
     }
   });
 });
 
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
 server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Ngrok URL: ${process.env.NGROK_URL}`);
+  logger.info('Server running', { port: PORT, publicUrl: config.server.publicUrl });
 });
 
-sessionManager.startAutoCleanup();
\ No newline at end of file
+sessionManager.startAutoCleanup();
+recordingStore.startSweeper();
\ No newline at end of file
@@ -0,0 +1,329 @@
+const fs = require ('fs');
+const path = require ('path');
+require ('dotenv').config ();
+
+// Single source of configuration. Every setting is declared once in SCHEMA
+// with its type, default and environment variable. Values are layered:
+//   defaults < config file (CONFIG_FILE, .json / .yaml / .yml) < environment
+// and the result is validated as a whole, so a bad value stops the process
+// at startup instead of surfacing mid-call.
+
+class ConfigError extends Error {
+  constructor (errors) {
+    super (`Invalid configuration:\n  - ${errors.join ('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const SCHEMA = {
+  server: {
+    port: {type: 'integer', env: 'PORT', default: 3000, min: 1, max: 65535},
+    // Public base URL Twilio reaches us on (webhooks, <Stream> and signatures)
+    publicUrl: {type: 'url', env: 'NGROK_URL', default: null},
+    streamAuthTimeoutMs: {type: 'integer', env: 'STREAM_AUTH_TIMEOUT_MS', default: 10000, min: 1},
+    // Proxies allowed to set X-Forwarded-For, as Express's 'trust proxy':
+    // "true", a hop count, or addresses / subnets ("loopback, 10.0.0.0/8").
+    // Unset, the socket's peer address is the client.
+    trustProxy: {type: 'string', env: 'TRUST_PROXY', default: null},
+  },
+  twilio: {
+    accountSid: {type: 'string', env: 'TWILIO_ACCOUNT_SID', default: null},
+    authToken: {type: 'string', env: 'TWILIO_AUTH_TOKEN', default: null, secret: true},
+    phoneNumber: {type: 'string', env: 'TWILIO_PHONE_NUMBER', default: null},
+    validateSignatures: {type: 'boolean', env: 'TWILIO_VALIDATE_SIGNATURES', default: true},
+    streamTokenSecret: {type: 'string', env: 'STREAM_TOKEN_SECRET', default: null, secret: true},
+    streamTokenTtlMs: {type: 'integer', env: 'STREAM_TOKEN_TTL_MS', default: 2 * 60 * 1000, min: 1},
+  },
+  providers: {
+    stt: {type: 'string', env: 'STT_PROVIDER', default: 'http'},
+    rag: {type: 'string', env: 'RAG_PROVIDER', default: 'websocket'},
+    tts: {type: 'string', env: 'TTS_PROVIDER', default: 'websocket'},
+  },
+  stt: {
+    apiUrl: {type: 'url', env: 'TRANSCRIBE_API_URL', default: null},
+    streamUrl: {type: 'url', env: 'TRANSCRIBE_STREAM_URL', default: null, protocols: ['ws:', 'wss:']},
+    timeoutMs: {type: 'integer', env: 'STT_TIMEOUT_MS', default: 8000, min: 1},
+    retries: {type: 'integer', env: 'STT_RETRIES', default: 2, min: 0},
+    // Whole-stage budget across attempts, from the end of the utterance
+    deadlineMs: {type: 'integer', env: 'STT_DEADLINE_MS', default: 10000, min: 1},
+    // How long to wait for a streaming final before falling back to batch
+    finalTimeoutMs: {type: 'integer', env: 'STT_FINAL_TIMEOUT_MS', default: 1500, min: 0},
+    reconnectDelayMs: {type: 'integer', env: 'STT_RECONNECT_DELAY_MS', default: 1000, min: 0},
+  },
+  rag: {
+    wsUrl: {type: 'url', env: 'RAG_WEBSOCKET_URL', default: null, protocols: ['ws:', 'wss:']},
+    timeoutMs: {type: 'integer', env: 'RAG_TIMEOUT_MS', default: 8000, min: 1}, // until the first sentence
+    idleTimeoutMs: {type: 'integer', env: 'RAG_IDLE_TIMEOUT_MS', default: 5000, min: 1}, // between sentences
+    retries: {type: 'integer', env: 'RAG_RETRIES', default: 1, min: 0},
+    historyMaxTurns: {type: 'integer', env: 'RAG_HISTORY_MAX_TURNS', default: 6, min: 1},
+    historyMaxTokens: {type: 'integer', env: 'RAG_HISTORY_MAX_TOKENS', default: 1000, min: 1},
+  },
+  tts: {
+    wsUrl: {
+      type: 'url',
+      env: 'TTS_WEBSOCKET_URL',
+      default: 'ws://164.52.194.17:8250/TranscribeStreaming',
+      protocols: ['ws:', 'wss:'],
+    },
+    timeoutMs: {type: 'integer', env: 'TTS_TIMEOUT_MS', default: 5000, min: 1},
+    retries: {type: 'integer', env: 'TTS_RETRIES', default: 2, min: 0},
+    maxParallel: {type: 'integer', env: 'TTS_MAX_PARALLEL', default: 3, min: 1},
+  },
+  resilience: {
+    backoffMs: {type: 'integer', env: 'RETRY_BACKOFF_MS', default: 250, min: 0},
+    maxConsecutiveFailures: {type: 'integer', env: 'MAX_CONSECUTIVE_FAILURES', default: 3, min: 1},
+    transferNumber: {type: 'string', env: 'ESCALATION_TRANSFER_NUMBER', default: null},
+    promptDir: {
+      type: 'string',
+      env: 'FALLBACK_PROMPT_DIR',
+      default: path.join (__dirname, '../assets/prompts'),
+    },
+  },
+  // AudioProcessor: utterance segmentation and gain
+  audio: {
+    silenceThreshold: {type: 'integer', env: 'AUDIO_SILENCE_FRAMES', default: 40, min: 1}, // 20 ms frames
+    minRMS: {type: 'number', env: 'AUDIO_MIN_RMS', default: 200, min: 0},
+    maxRMS: {type: 'number', env: 'AUDIO_MAX_RMS', default: 40000, min: 0},
+    volumeBoost: {type: 'number', env: 'AUDIO_VOLUME_BOOST', default: 3.0, min: 0},
+    noiseFloor: {type: 'number', env: 'AUDIO_NOISE_FLOOR', default: 200, min: 0},
+    bargeInFrames: {type: 'integer', env: 'BARGE_IN_FRAMES', default: 10, min: 1},
+    // Shortest voiced span (VAD onset to last voiced frame) sent to STT. Above
+    // a click with its VAD hangover (~180 ms), below a one-word answer; the
+    // old 500 measured padded audio, which pre-/post-roll alone fill.
+    minUtteranceMs: {type: 'integer', env: 'MIN_UTTERANCE_MS', default: 250, min: 0},
+    // Audio kept before VAD onset / after the last voiced frame of each utterance
+    preRollMs: {type: 'integer', env: 'AUDIO_PRE_ROLL_MS', default: 300, min: 0, max: 2000},
+    postRollMs: {type: 'integer', env: 'AUDIO_POST_ROLL_MS', default: 200, min: 0, max: 2000},
+  },
+  // End-of-turn detection (services/endpointer.js); audio.silenceThreshold is the baseline
+  endpointing: {
+    adaptive: {type: 'boolean', env: 'ENDPOINT_ADAPTIVE', default: true},
+    minSilenceMs: {type: 'integer', env: 'ENDPOINT_MIN_SILENCE_MS', default: 300, min: 0},
+    maxSilenceMs: {type: 'integer', env: 'ENDPOINT_MAX_SILENCE_MS', default: 1600, min: 20},
+    shortUtteranceMs: {type: 'integer', env: 'ENDPOINT_SHORT_UTTERANCE_MS', default: 600, min: 0},
+  },
+  vad: {
+    strategy: {type: 'string', env: 'VAD_STRATEGY', default: 'score'}, // see utils/vad
+    frameSize: {type: 'integer', env: 'VAD_FRAME_SIZE', default: 320, min: 2},
+    threshold: {type: 'number', env: 'VAD_THRESHOLD', default: 600, min: 0},
+    smoothingWindow: {type: 'integer', env: 'VAD_SMOOTHING_WINDOW', default: 4, min: 1},
+    requiredVoicedFrames: {type: 'integer', env: 'VAD_REQUIRED_VOICED_FRAMES', default: 2, min: 1},
+    minEnergy: {type: 'number', env: 'VAD_MIN_ENERGY', default: 250, min: 0},
+    maxEnergy: {type: 'number', env: 'VAD_MAX_ENERGY', default: 25000, min: 0},
+    hangoverTime: {type: 'integer', env: 'VAD_HANGOVER_FRAMES', default: 5, min: 0},
+    backgroundNoise: {type: 'number', env: 'VAD_BACKGROUND_NOISE', default: 80, min: 0},
+    adaptationRate: {type: 'number', env: 'VAD_ADAPTATION_RATE', default: 0.02, min: 0, max: 1},
+    debug: {type: 'boolean', env: 'VAD_DEBUG', default: false},
+  },
+  recordings: {
+    dir: {type: 'string', env: 'RECORDINGS_DIR', default: path.join (__dirname, '../data/recordings')},
+    maxAgeHours: {type: 'number', env: 'RECORDINGS_MAX_AGE_HOURS', default: 72, min: 0},
+    maxTotalMb: {type: 'number', env: 'RECORDINGS_MAX_TOTAL_MB', default: 1024, min: 0},
+    sweepIntervalMs: {type: 'integer', env: 'RECORDINGS_SWEEP_INTERVAL_MS', default: 15 * 60 * 1000, min: 1000},
+    httpEnabled: {type: 'boolean', env: 'RECORDINGS_HTTP_ENABLED', default: false},
+    httpToken: {type: 'string', env: 'RECORDINGS_HTTP_TOKEN', default: null, secret: true},
+  },
+  capture: {
+    dir: {type: 'string', env: 'CAPTURE_DIR', default: path.join (__dirname, '../data/captures')},
+    // Share of calls captured without an explicit capture=true, 0..1
+    sampleRate: {type: 'number', env: 'CAPTURE_SAMPLE_RATE', default: 0, min: 0, max: 1},
+    // Captures hold raw call audio; the recordings sweeper deletes them after this
+    maxAgeHours: {type: 'number', env: 'CAPTURE_MAX_AGE_HOURS', default: 72, min: 0},
+  },
+  callRecords: {
+    store: {type: 'string', env: 'CALL_RECORD_STORE', default: 'file'},
+    dir: {type: 'string', env: 'CALL_RECORD_DIR', default: path.join (__dirname, '../data/calls')},
+  },
+  admin: {
+    apiToken: {type: 'string', env: 'ADMIN_API_TOKEN', default: null, secret: true},
+  },
+  metrics: {
+    token: {type: 'string', env: 'METRICS_TOKEN', default: null, secret: true},
+  },
+  logging: {
+    level: {type: 'enum', env: 'LOG_LEVEL', default: 'info', values: ['debug', 'info', 'warn', 'error']},
+    format: {type: 'enum', env: 'LOG_FORMAT', default: 'json', values: ['json', 'pretty']},
+  },
+  mock: {
+    transcript: {type: 'string', env: 'MOCK_TRANSCRIPT', default: 'Hello, can you hear me?'},
+  },
+};
+
+const BOOLEANS = {true: true, false: false, 1: true, 0: false, yes: true, no: false};
+
+// Returns [value, error]; raw is a string (environment) or any JSON/YAML value
+function coerce (spec, raw) {
+  if (raw === null || raw === undefined || raw === '') return [null, null];
+  switch (spec.type) {
+    case 'string':
+      return [String (raw), null];
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : Number (String (raw).trim ());
+      if (!Number.isFinite (value)) return [null, `expected a number, got "${raw}"`];
+      if (spec.type === 'integer' && !Number.isInteger (value)) {
+        return [null, `expected an integer, got "${raw}"`];
+      }
+      if (spec.min !== undefined && value < spec.min) return [null, `must be >= ${spec.min}`];
+      if (spec.max !== undefined && value > spec.max) return [null, `must be <= ${spec.max}`];
+      return [value, null];
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return [raw, null];
+      const value = BOOLEANS[String (raw).trim ().toLowerCase ()];
+      return value === undefined
+        ? [null, `expected true or false, got "${raw}"`]
+        : [value, null];
+    }
+    case 'enum':
+      return spec.values.includes (raw)
+        ? [raw, null]
+        : [null, `must be one of ${spec.values.join (', ')}, got "${raw}"`];
+    case 'url': {
+      let url;
+      try {
+        url = new URL (String (raw));
+      } catch (error) {
+        return [null, `expected a URL, got "${raw}"`];
+      }
+      if (spec.protocols && !spec.protocols.includes (url.protocol)) {
+        return [null, `expected a ${spec.protocols.join (' or ')} URL, got "${raw}"`];
+      }
+      return [String (raw), null];
+    }
+    default:
+      return [null, `unknown type "${spec.type}"`];
+  }
+}
+
+function readConfigFile (file) {
+  const text = fs.readFileSync (file, 'utf8');
+  if (/\.ya?ml$/i.test (file)) return require ('js-yaml').load (text) || {};
+  return JSON.parse (text);
+}
+
+// Build a validated config object. Throws ConfigError listing every problem.
+function loadConfig ({env = process.env, file = env.CONFIG_FILE} = {}) {
+  const errors = [];
+  let fileValues = {};
+  if (file) {
+    try {
+      fileValues = readConfigFile (path.resolve (file));
+    } catch (error) {
+      throw new ConfigError ([`could not read config file ${file}: ${error.message}`]);
+    }
+  }
+
+  const config = {};
+  for (const [section, fields] of Object.entries (SCHEMA)) {
+    const fromFile = fileValues[section] || {};
+    config[section] = {};
+    for (const [key, spec] of Object.entries (fields)) {
+      let value = spec.default;
+      for (const [source, raw] of [
+        [`${section}.${key} in ${file}`, fromFile[key]],
+        [spec.env, env[spec.env]],
+      ]) {
+        if (raw === undefined) continue;
+        const [parsed, error] = coerce (spec, raw);
+        if (error) errors.push (`${source}: ${error}`);
+        else value = parsed === null ? spec.default : parsed;
+      }
+      config[section][key] = value;
+    }
+    for (const key of Object.keys (fromFile)) {
+      if (!fields[key]) errors.push (`unknown setting ${section}.${key} in ${file}`);
+    }
+  }
+  for (const section of Object.keys (fileValues)) {
+    if (!SCHEMA[section]) errors.push (`unknown section "${section}" in ${file}`);
+  }
+
+  if (config.audio.minRMS > config.audio.maxRMS) {
+    errors.push ('audio.minRMS must not exceed audio.maxRMS');
+  }
+  if (config.endpointing.minSilenceMs > config.endpointing.maxSilenceMs) {
+    errors.push ('endpointing.minSilenceMs must not exceed endpointing.maxSilenceMs');
+  }
+  if (config.vad.minEnergy > config.vad.maxEnergy) {
+    errors.push ('vad.minEnergy must not exceed vad.maxEnergy');
+  }
+
+  if (errors.length > 0) throw new ConfigError (errors);
+  return config;
+}
+
+// Backend URLs the selected providers cannot work without
+function providerErrors (config, selection = config.providers) {
+  const errors = [];
+  if (selection.stt === 'http' && !config.stt.apiUrl && !config.stt.streamUrl) {
+    errors.push ('TRANSCRIBE_API_URL or TRANSCRIBE_STREAM_URL is required for the http STT provider');
+  }
+  if (selection.rag === 'websocket' && !config.rag.wsUrl) {
+    errors.push ('RAG_WEBSOCKET_URL is required for the websocket RAG provider');
+  }
+  return errors;
+}
+
+// Settings the phone-facing server cannot run without; checked by app.js at
+// startup, not on require, so offline tools work with a bare environment
+function assertServerReady (config) {
+  const errors = [];
+  // Signature checks need the auth token. With them off (local development,
+  // the call simulator) incoming calls work without credentials; only the
+  // REST actions (outbound calls, transfers, the <Say> fallback) fail.
+  if (config.twilio.validateSignatures) {
+    if (!config.twilio.accountSid) errors.push ('TWILIO_ACCOUNT_SID is required');
+    if (!config.twilio.authToken) errors.push ('TWILIO_AUTH_TOKEN is required');
+  }
+  errors.push (...providerErrors (config));
+  // Required here, not at the top: both registries load this module
+  const {listProviders} = require ('../services/providers');
+  const {listVads} = require ('../utils/vad');
+  const registered = listProviders ();
+  for (const [stage, name] of Object.entries (config.providers)) {
+    if (!registered[stage].includes (name)) {
+      errors.push (
+        `${stage.toUpperCase ()}_PROVIDER "${name}" is not registered (one of: ${registered[stage].join (', ')})`
+      );
+    }
+  }
+  if (!listVads ().includes (config.vad.strategy)) {
+    errors.push (
+      `VAD_STRATEGY "${config.vad.strategy}" is not registered (one of: ${listVads ().join (', ')})`
+    );
+  }
+  const {trustProxy} = config.server;
+  if (trustProxy && !/^(true|\d+)$/.test (trustProxy)) {
+    try {
+      require ('proxy-addr').compile (trustProxy.split (',').map (entry => entry.trim ()));
+    } catch (error) {
+      errors.push (`TRUST_PROXY: ${error.message}`);
+    }
+  }
+  if (errors.length > 0) throw new ConfigError (errors);
+}
+
+// Effective settings with secrets masked, for startup logs
+function describe (config) {
+  const out = {};
+  for (const [section, fields] of Object.entries (SCHEMA)) {
+    out[section] = {};
+    for (const [key, spec] of Object.entries (fields)) {
+      const value = config[section][key];
+      out[section][key] = spec.secret && value ? '***' : value;
+    }
+  }
+  return out;
+}
+
+const config = loadConfig ();
+
+module.exports = config;
+module.exports.SCHEMA = SCHEMA;
+module.exports.ConfigError = ConfigError;
+module.exports.loadConfig = loadConfig;
+module.exports.providerErrors = providerErrors;
+module.exports.assertServerReady = assertServerReady;
+module.exports.describe = describe;
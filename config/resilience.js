@@ -0,0 +1,24 @@
+const config = require ('./index');
+
+// Timeouts, retry budgets and escalation policy for the STT/RAG/TTS stages
+// (a view over the central config; see config/index.js for the variables)
+module.exports = {
+  stt: {
+    timeoutMs: config.stt.timeoutMs,
+    retries: config.stt.retries,
+    deadlineMs: config.stt.deadlineMs,
+  },
+  rag: {
+    timeoutMs: config.rag.timeoutMs, // until the first sentence
+    idleTimeoutMs: config.rag.idleTimeoutMs, // between sentences
+    retries: config.rag.retries,
+  },
+  tts: {
+    timeoutMs: config.tts.timeoutMs,
+    retries: config.tts.retries,
+  },
+  backoffMs: config.resilience.backoffMs,
+  maxConsecutiveFailures: config.resilience.maxConsecutiveFailures,
+  transferNumber: config.resilience.transferNumber,
+  promptDir: config.resilience.promptDir,
+};
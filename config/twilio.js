@@ -1,9 +1,6 @@
 const twilio = require ('twilio');
-require ('dotenv').config ();
+const config = require ('./index');
 
-const client = twilio (
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
+const client = twilio (config.twilio.accountSid, config.twilio.authToken);
 
 module.exports = client;
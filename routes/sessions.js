@@ -0,0 +1,104 @@
+const express = require('express');
+const config = require('../config');
+const sessionManager = require('../services/sessionManager');
+const callControl = require('../services/callControl');
+const audioTuning = require('../services/audioTuning');
+const { requireBearerToken } = require('../utils/bearerAuth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Admin API: needs ADMIN_API_TOKEN, sent as "Authorization: Bearer <token>"
+router.use((req, res, next) => {
+  const token = config.admin.apiToken;
+  if (!token) {
+    return res.status(503).json({ error: 'Admin API disabled (ADMIN_API_TOKEN is not set)' });
+  }
+  return requireBearerToken(token, 'admin request')(req, res, next);
+});
+
+// Resolve :callSid to a live session or 404
+router.param('callSid', (req, res, next, callSid) => {
+  const session = sessionManager.getSession(callSid);
+  if (!session) {
+    return res.status(404).json({ error: `No active session for ${callSid}` });
+  }
+  req.callSession = session;
+  next();
+});
+
+// List active calls
+router.get('/', (req, res) => {
+  res.json({ sessions: sessionManager.listSessions() });
+});
+
+// Detailed state of one call
+router.get('/:callSid', (req, res) => {
+  const { callSession: session } = req;
+  res.json({
+    callSid: session.callSid,
+    streamSid: session.streamSid,
+    createdAt: new Date(session.createdAt).toISOString(),
+    durationMs: Date.now() - session.createdAt,
+    ...session.processor.getDiagnostics(),
+    history: sessionManager.getHistory(session.callSid),
+  });
+});
+
+// End the call through the Twilio REST API
+router.post('/:callSid/hangup', async (req, res) => {
+  try {
+    await callControl.hangupCall(req.callSession.callSid, req.body.message);
+    res.json({ success: true, callSid: req.callSession.callSid });
+  } catch (error) {
+    logger.error('Error hanging up call', { callSid: req.callSession.callSid, error });
+    res.status(502).json({ error: 'Failed to hang up call' });
+  }
+});
+
+// Speak a message into the live stream
+router.post('/:callSid/say', async (req, res) => {
+  const text = req.body.text;
+  if (!text || typeof text !== 'string') {
+    return res.status(400).json({ error: 'text is required' });
+  }
+  try {
+    await req.callSession.processor.say(text);
+    res.json({ success: true, callSid: req.callSession.callSid });
+  } catch (error) {
+    logger.error('Error injecting message', { callSid: req.callSession.callSid, error });
+    res.status(502).json({ error: 'Failed to synthesize message' });
+  }
+});
+
+// Retune audio thresholds while the call is running
+router.get('/:callSid/audio', (req, res) => {
+  res.json({ callSid: req.callSession.callSid, audio: req.callSession.processor.getAudioParameters() });
+});
+
+router.post('/:callSid/audio', (req, res) => {
+  const { tuning, errors } = audioTuning.parseTuning(req.body);
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid audio parameters', details: errors });
+  if (Object.keys(tuning).length === 0) {
+    return res.status(400).json({ error: `Expected one of ${Object.keys(audioTuning.PARAMS).join(', ')}` });
+  }
+  res.json({ callSid: req.callSession.callSid, audio: req.callSession.processor.adjustAudioParameters(tuning) });
+});
+
+// Change log verbosity for this call only; level null reverts to LOG_LEVEL
+router.post('/:callSid/logging', (req, res) => {
+  const { level, vadDebug } = req.body;
+  const { processor } = req.callSession;
+  if (level !== undefined && level !== null && !logger.LEVELS[level]) {
+    return res.status(400).json({ error: `level must be one of ${Object.keys(logger.LEVELS).join(', ')}` });
+  }
+  if (level !== undefined) processor.setLogLevel(level);
+  if (vadDebug !== undefined) processor.setVadDebug(Boolean(vadDebug));
+  res.json({
+    callSid: req.callSession.callSid,
+    logLevel: processor.log.getLevel(),
+    vadDebug: Boolean(processor.vadDetector.debug),
+  });
+});
+
+module.exports = router;
@@ -1,23 +1,59 @@
 const express = require('express');
 const twilio = require('twilio');
-const twilioClient = require('../config/twilio');
+const config = require('../config');
+const twilioAuth = require('../services/twilioAuth');
+const audioTuning = require('../services/audioTuning');
+const { listVads } = require('../utils/vad');
+const providers = require('../services/providers');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 const VoiceResponse = twilio.twiml.VoiceResponse;
 
+// Loaded on first use, so incoming calls work without REST credentials
+function twilioClient() {
+  return require('../config/twilio');
+}
+
 // Handle incoming calls
-router.post('/voice/incoming-call', (req, res) => {
+router.post('/voice/incoming-call', twilioAuth.validateWebhook, (req, res) => {
   const twiml = new VoiceResponse();
-  // Greet the user
-  twiml.say({voice: 'alice',language: 'en-US'}, 'Please ask me anything.');
-  // Play a beep sound
-  twiml.play({ digits: 'w' });
+  // ?resume=true reconnects a call already in progress (see callControl.sayAndResume)
+  if (req.query.resume !== 'true') {
+    // Greet the user
+    twiml.say({voice: 'alice',language: 'en-US'}, 'Please ask me anything.');
+    // Play a beep sound
+    twiml.play({ digits: 'w' });
+  }
   
   // Start media stream
   const connect = twiml.connect();
   const stream = connect.stream({
     url: `wss://${req.get('host').replace('http://', '').replace('https://', '')}/`
   });
+  // Single-use token the media stream must present in its start event
+  stream.parameter({ name: 'streamToken', value: twilioAuth.issueStreamToken(req.body.CallSid) });
+  // Audio tuning in the webhook query string travels with the stream
+  const { tuning, errors } = audioTuning.parseTuning(req.query);
+  if (errors.length > 0) logger.warn('Ignoring invalid audio tuning', { callSid: req.body.CallSid, errors });
+  audioTuning.toStreamParameters(tuning).forEach((param) => stream.parameter(param));
+  // So do provider choices, e.g. ?sttProvider=mock&ttsProvider=mock
+  const { selection, unknown } = providers.selectionFromParams(req.query);
+  if (unknown.length > 0) logger.warn('Ignoring unknown providers', { callSid: req.body.CallSid, unknown });
+  for (const [stage, name] of Object.entries(selection)) {
+    stream.parameter({ name: providers.SELECTION_PARAMS[stage], value: name });
+  }
+  // ...and the VAD strategy, e.g. ?vadStrategy=gmm
+  const { vadStrategy } = req.query;
+  if (vadStrategy && listVads().includes(vadStrategy)) {
+    stream.parameter({ name: 'vadStrategy', value: vadStrategy });
+  } else if (vadStrategy) {
+    logger.warn('Ignoring unknown VAD strategy', { callSid: req.body.CallSid, vadStrategy });
+  }
+  // ?capture=true records this call's raw media stream, false opts it out of sampling
+  if (req.query.capture === 'true' || req.query.capture === 'false') {
+    stream.parameter({ name: 'capture', value: req.query.capture });
+  }
    twiml.pause({ length: 3600 });
   res.type('text/xml');
   res.send(twiml.toString());
@@ -30,10 +66,10 @@ router.post('/call', async (req, res) => {
     if (!to) {
       return res.status(400).json({ error: 'Phone number is required' });
     }
-    const call = await twilioClient.calls.create({
-      url: `${process.env.NGROK_URL}/voice/incoming-call`,
+    const call = await twilioClient().calls.create({
+      url: `${config.server.publicUrl}/voice/incoming-call`,
       to: to,
-      from: process.env.TWILIO_PHONE_NUMBER
+      from: config.twilio.phoneNumber
     });
     
     res.json({ 
@@ -42,7 +78,7 @@ router.post('/call', async (req, res) => {
       message: 'Call initiated successfully'
     });
   } catch (error) {
-    console.error('Error making call:', error);
+    logger.error('Error making call', { error });
     res.status(500).json({ error: 'Failed to make call' });
   }
 });
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// scripts/replay.js
+//
+// Replays a captured media stream (NDJSON) or a recording (.wav / .ulaw)
+// through AudioProcessor and prints the timeline: VAD changes, utterance
+// cuts, transcripts and the bot's audio. See services/replay.js.
+//
+//   node scripts/replay.js data/captures/2026-10-19/CA123-1792400938013.ndjson
+//     (needs the backend URLs; --stt mock --rag echo --tts mock runs offline)
+//   node scripts/replay.js caller.wav --fast --stt mock --rag echo --tts mock --wav out.wav
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { ConfigError } = require('../config');
+const logger = require('../utils/logger');
+const { replay, toStereoWav } = require('../services/replay');
+
+const USAGE = `Usage: node scripts/replay.js <capture.ndjson | audio.wav | audio.ulaw> [options]
+
+  --speed <n>         1 = real time (default), 2 = twice as fast, ...
+  --fast              as fast as possible (same as --speed 0)
+  --tail-ms <ms>      silence appended after the input (default 1000)
+  --stt, --rag, --tts <name>   provider overrides (default: configured providers)
+  --vad <strategy>    VAD strategy override
+  --set name=value    audio tuning override (see services/audioTuning.js), repeatable
+  --frames            list every VAD decision, not only changes
+  --json              print { timeline, callRecord } as JSON
+  --wav <file>        write a stereo WAV: caller left, bot right
+  --verbose           keep the pipeline's own info logs
+`;
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      speed: { type: 'string', default: '1' },
+      fast: { type: 'boolean', default: false },
+      'tail-ms': { type: 'string', default: '1000' },
+      stt: { type: 'string' },
+      rag: { type: 'string' },
+      tts: { type: 'string' },
+      vad: { type: 'string' },
+      set: { type: 'string', multiple: true, default: [] },
+      frames: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      wav: { type: 'string' },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help || positionals.length !== 1) return null;
+
+  const speed = values.fast ? 0 : Number(values.speed);
+  const tailMs = Number(values['tail-ms']);
+  if (!Number.isFinite(speed) || speed < 0) throw new Error('--speed must be a number >= 0');
+  if (!Number.isFinite(tailMs) || tailMs < 0) throw new Error('--tail-ms must be a number >= 0');
+
+  const tuning = {};
+  for (const text of values.set) {
+    const index = text.indexOf('=');
+    if (index <= 0) throw new Error(`--set expects name=value, got "${text}"`);
+    tuning[text.slice(0, index)] = text.slice(index + 1);
+  }
+  const providers = {};
+  for (const stage of ['stt', 'rag', 'tts']) {
+    if (values[stage]) providers[stage] = values[stage];
+  }
+
+  return {
+    file: positionals[0],
+    speed,
+    tailMs,
+    providers,
+    vadStrategy: values.vad,
+    tuning,
+    allFrames: values.frames,
+    json: values.json,
+    wav: values.wav,
+    verbose: values.verbose,
+  };
+}
+
+function describe({ atMs, event, ...fields }) {
+  const details = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${(atMs / 1000).toFixed(3).padStart(9)}s  ${event.padEnd(16)} ${details}`;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+  if (!options) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (!options.verbose) logger.setLevel('warn');
+
+  const result = await replay(options.file, {
+    ...options,
+    // Stream the timeline while pacing in real time; it is sorted at the end
+    onEvent: options.json || options.speed === 0 ? undefined : (entry) => console.log(describe(entry)),
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify({ timeline: result.timeline, callRecord: result.callRecord }, null, 2));
+  } else if (options.speed === 0) {
+    result.timeline.forEach((entry) => console.log(describe(entry)));
+  }
+  if (options.wav) {
+    fs.writeFileSync(options.wav, toStereoWav(result));
+    console.error(`Wrote ${options.wav}`);
+  }
+  // Provider sockets and timers may still be open
+  process.exit(0);
+}
+
+main().catch((error) => {
+  if (error instanceof ConfigError) {
+    console.error(`${error.message}\nSet them, or replay offline with --stt mock --rag echo --tts mock.`);
+    process.exit(2);
+  }
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// scripts/simulateCall.js
+//
+// Runs a full call against a running server with no Twilio account: the
+// recording is streamed as the caller, the bot's answer is saved as a WAV.
+// See services/twilioSimulator.js.
+//
+//   node scripts/simulateCall.js caller.wav --out bot.wav
+//   node scripts/simulateCall.js caller.wav --url http://localhost:3000 --query vadStrategy=gmm --stereo
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const config = require('../config');
+const audioFormat = require('../utils/audioFormat');
+const { simulateCall } = require('../services/twilioSimulator');
+
+const USAGE = `Usage: node scripts/simulateCall.js <caller.wav | caller.ulaw> [options]
+
+  --url <base>          server to call (default: http://localhost:${config.server.port})
+  --auth-token <token>  signs the webhook (default: TWILIO_AUTH_TOKEN); "" to send none
+  --public-url <base>   URL the server signs against (default: NGROK_URL or --url)
+  --query name=value    /voice/incoming-call query parameter, repeatable
+  --speed <n>           1 = real time (default)
+  --idle-ms <ms>        hang up after the bot has been quiet this long (default 3000)
+  --max-wait-ms <ms>    longest wait for the bot after the recording (default 30000)
+  --out <file>          bot audio WAV (default: bot-<callSid>.wav)
+  --stereo              write caller left, bot right instead of the bot alone
+  --json                print the outbound messages (payloads elided) as JSON
+  --quiet               no progress lines
+`;
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      url: { type: 'string', default: `http://localhost:${config.server.port}` },
+      'auth-token': { type: 'string' },
+      'public-url': { type: 'string' },
+      query: { type: 'string', multiple: true, default: [] },
+      speed: { type: 'string', default: '1' },
+      'idle-ms': { type: 'string', default: '3000' },
+      'max-wait-ms': { type: 'string', default: '30000' },
+      out: { type: 'string' },
+      stereo: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      quiet: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help || positionals.length !== 1) return null;
+
+  const numbers = {};
+  for (const name of ['speed', 'idle-ms', 'max-wait-ms']) {
+    numbers[name] = Number(values[name]);
+    if (!Number.isFinite(numbers[name]) || numbers[name] < 0) throw new Error(`--${name} must be a number >= 0`);
+  }
+  const query = {};
+  for (const text of values.query) {
+    const index = text.indexOf('=');
+    if (index <= 0) throw new Error(`--query expects name=value, got "${text}"`);
+    query[text.slice(0, index)] = text.slice(index + 1);
+  }
+
+  return {
+    file: positionals[0],
+    baseUrl: values.url,
+    authToken: values['auth-token'] !== undefined ? values['auth-token'] : config.twilio.authToken,
+    publicUrl: values['public-url'] || config.server.publicUrl,
+    query,
+    speed: numbers.speed || 1,
+    idleMs: numbers['idle-ms'],
+    maxWaitMs: numbers['max-wait-ms'],
+    out: values.out,
+    stereo: values.stereo,
+    json: values.json,
+    quiet: values.quiet,
+  };
+}
+
+function progress({ atMs, event, ...fields }) {
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  console.error(`${(atMs / 1000).toFixed(2).padStart(8)}s  ${event.padEnd(10)} ${details}`);
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+  if (!options) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const result = await simulateCall({
+    ...options,
+    audio: audioFormat.readTelephoneAudio(options.file),
+    onEvent: options.quiet ? undefined : progress,
+  });
+
+  const out = options.out || `bot-${result.callSid}.wav`;
+  fs.writeFileSync(out, options.stereo
+    ? audioFormat.encodeStereoWav(result.callerAudio, result.botAudio)
+    : audioFormat.encodeWav(audioFormat.mulawToPcm(result.botAudio)));
+
+  const media = result.outbound.filter(({ message }) => message.event === 'media');
+  const botMs = media.reduce((sum, { message }) => sum + Buffer.from(message.media.payload, 'base64').length / 8, 0);
+  if (options.json) {
+    console.log(JSON.stringify({
+      callSid: result.callSid,
+      streamUrl: result.streamUrl,
+      framesSent: result.framesSent,
+      outbound: result.outbound.map(({ atMs, message }) => ({
+        atMs,
+        ...message,
+        media: message.media ? { bytes: Buffer.from(message.media.payload, 'base64').length } : undefined,
+      })),
+      wav: out,
+    }, null, 2));
+  } else {
+    console.log(`Call ${result.callSid}: sent ${(result.framesSent * 0.02).toFixed(1)} s of caller audio, ` +
+      `received ${media.length} media message(s) with ${(botMs / 1000).toFixed(1)} s of bot audio; wrote ${out}`);
+  }
+  // A call where the bot never spoke is a failed call
+  process.exit(media.length > 0 ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// scripts/standins.js
+//
+// Runs the stand-in STT / RAG / TTS servers until interrupted and prints the
+// environment that points the voice server at them. See services/standins.
+//
+//   node scripts/standins.js --scenario config/standins.example.yaml
+
+const { parseArgs } = require('util');
+const { SERVICES, startStandins } = require('../services/standins');
+const { readScenario } = require('../services/standins/common');
+
+const USAGE = `Usage: node scripts/standins.js [options]
+
+  --scenario <file>   JSON or YAML scenario (see config/standins.example.yaml)
+  --only <list>       comma-separated subset of ${Object.keys(SERVICES).join(',')}
+  --seed <n>          overrides the scenario seed
+`;
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        scenario: { type: 'string' },
+        only: { type: 'string', default: Object.keys(SERVICES).join(',') },
+        seed: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (values.help) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const scenario = values.scenario ? readScenario(values.scenario) : {};
+  if (values.seed !== undefined) scenario.seed = Number(values.seed);
+  const only = values.only.split(',').map((name) => name.trim());
+  const unknown = only.filter((name) => !SERVICES[name]);
+  if (unknown.length > 0) {
+    console.error(`Unknown service(s): ${unknown.join(', ')}`);
+    process.exit(2);
+  }
+
+  const standins = await startStandins(scenario, { only });
+  // Ready to paste in front of `node app.js`
+  console.log(Object.entries(standins.env).map(([name, value]) => `${name}=${value}`).join(' '));
+
+  const shutdown = async () => {
+    await standins.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// scripts/vadEval.js
+//
+// Scores a VAD strategy against a directory of labelled recordings and,
+// with --grid / --sweep, ranks parameter combinations. See
+// utils/vad/evaluate.js for the dataset layout.
+//
+//   node scripts/vadEval.js ./vad-data
+//   node scripts/vadEval.js ./vad-data --sweep --rank recall
+//   node scripts/vadEval.js ./vad-data --strategy gmm --grid threshold=300,600 --set hangoverTime=4
+
+const { parseArgs } = require('util');
+const { listVads } = require('../utils/vad');
+const evaluation = require('../utils/vad/evaluate');
+const config = require('../config');
+
+const USAGE = `Usage: node scripts/vadEval.js <dataset-dir> [options]
+
+  --strategy <name>       ${listVads().join(' | ')} (default: ${config.vad.strategy})
+  --set name=value        fixed detector option, repeatable
+  --grid name=v1,v2,...   sweep these values, repeatable
+  --sweep                 sweep the default grid of --strategy, over
+${listVads().map((strategy) => `                            ${strategy}: ${Object.keys(defaultGrid(strategy)).join(', ')}`).join('\n')}
+  --rank <metric>         f1 (default), precision, recall, onsetMs, offsetMs (by size,
+                          early or late), falseTriggers
+  --top <n>               rows of the ranked table (default 20)
+  --json                  print results as JSON
+`;
+
+// Around the configured defaults, over the knobs `strategy` actually reads
+function defaultGrid(strategy) {
+  const common = {
+    threshold: [300, 450, 600, 800, 1000],
+    hangoverTime: [3, 5, 8],
+  };
+  switch (strategy) {
+    case 'score':
+      return { ...common, smoothingWindow: [2, 4, 6], requiredVoicedFrames: [1, 2, 3] };
+    case 'energy':
+      return { ...common, noiseRatio: [2, 3, 4] };
+    case 'gmm':
+      return { ...common, globalThreshold: [0.5, 1, 2], localThreshold: [3, 4, 6] };
+    default:
+      return common;
+  }
+}
+
+function parseAssignment(text, flag) {
+  const index = text.indexOf('=');
+  if (index <= 0) throw new Error(`${flag} expects name=value, got "${text}"`);
+  return [text.slice(0, index), text.slice(index + 1)];
+}
+
+function parseValue(raw) {
+  if (raw === 'true' || raw === 'false') return raw === 'true';
+  const number = Number(raw);
+  return raw !== '' && Number.isFinite(number) ? number : raw;
+}
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      strategy: { type: 'string', default: config.vad.strategy },
+      set: { type: 'string', multiple: true, default: [] },
+      grid: { type: 'string', multiple: true, default: [] },
+      sweep: { type: 'boolean', default: false },
+      rank: { type: 'string', default: 'f1' },
+      top: { type: 'string', default: '20' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help || positionals.length !== 1) return null;
+
+  if (!listVads().includes(values.strategy)) {
+    throw new Error(`Unknown strategy "${values.strategy}" (have ${listVads().join(', ')})`);
+  }
+  const rankable = ['f1', 'precision', 'recall', 'onsetMs', 'offsetMs', 'falseTriggers', 'falseTriggersPerMin'];
+  if (!rankable.includes(values.rank)) {
+    throw new Error(`--rank must be one of ${rankable.join(', ')}`);
+  }
+
+  const params = {};
+  for (const text of values.set) {
+    const [name, raw] = parseAssignment(text, '--set');
+    params[name] = parseValue(raw);
+  }
+  let grid = values.sweep ? defaultGrid(values.strategy) : null;
+  for (const text of values.grid) {
+    const [name, raw] = parseAssignment(text, '--grid');
+    grid = { ...grid, [name]: raw.split(',').map(parseValue) };
+  }
+
+  return {
+    dir: positionals[0],
+    strategy: values.strategy,
+    params,
+    grid,
+    rankBy: values.rank,
+    top: Math.max(1, parseInt(values.top, 10) || 20),
+    json: values.json,
+  };
+}
+
+function format(value, digits = 0) {
+  if (value === null || value === undefined) return '-';
+  return typeof value === 'number' ? value.toFixed(digits) : String(value);
+}
+
+function printTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map((row) => row[i].length)));
+  // First column left-aligned, numbers right-aligned
+  const line = (cells) => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+  console.log(line(headers));
+  console.log(widths.map((width) => '-'.repeat(width)).join('  '));
+  rows.forEach((row) => console.log(line(row)));
+}
+
+const METRIC_HEADERS = ['prec', 'recall', 'f1', 'onset ms', 'offset ms', 'missed', 'false trig', 'ft/min'];
+
+function metricCells(summary) {
+  return [
+    format(summary.precision, 3),
+    format(summary.recall, 3),
+    format(summary.f1, 3),
+    format(summary.onsetMs),
+    format(summary.offsetMs),
+    `${summary.missedSegments}/${summary.segments}`,
+    format(summary.falseTriggers),
+    format(summary.falseTriggersPerMin, 2),
+  ];
+}
+
+function main() {
+  let options;
+  try {
+    options = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+  if (!options) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const dataset = evaluation.loadDataset(options.dir);
+  if (dataset.skipped.length > 0) {
+    console.error(`Skipping ${dataset.skipped.length} file(s) without annotations: ${dataset.skipped.join(', ')}`);
+  }
+  if (dataset.items.length === 0) {
+    console.error(`No annotated recordings in ${options.dir}`);
+    process.exit(1);
+  }
+  const minutes = dataset.items.reduce((sum, item) => sum + item.frames.length, 0) * evaluation.FRAME_MS / 60000;
+  console.error(`${dataset.items.length} recording(s), ${minutes.toFixed(1)} min, strategy ${options.strategy}`);
+
+  if (!options.grid) {
+    const result = evaluation.evaluate(dataset, options);
+    if (options.json) {
+      console.log(JSON.stringify({ strategy: options.strategy, params: options.params, ...result }, null, 2));
+      return;
+    }
+    printTable(['file', ...METRIC_HEADERS], [
+      ...result.files.map((file) => [file.name, ...metricCells(file)]),
+      ['(all)', ...metricCells(result.overall)],
+    ]);
+    return;
+  }
+
+  const results = evaluation.sweep(dataset, {
+    ...options,
+    onProgress: (done, total) => {
+      if (process.stderr.isTTY) process.stderr.write(`\r${done}/${total} combinations`);
+    },
+  });
+  if (process.stderr.isTTY) process.stderr.write('\n');
+  if (options.json) {
+    console.log(JSON.stringify({
+      strategy: options.strategy,
+      params: options.params,
+      rankBy: options.rankBy,
+      results: results.map(({ params, overall }) => ({ params, ...overall })),
+    }, null, 2));
+    return;
+  }
+  const names = Object.keys(options.grid);
+  printTable(['#', ...names, ...METRIC_HEADERS], results.slice(0, options.top).map((result, index) => [
+    String(index + 1),
+    ...names.map((name) => format(result.params[name], 2).replace(/\.00$/, '')),
+    ...metricCells(result.overall),
+  ]));
+}
+
+main();
@@ -1,42 +1,156 @@
 // Enhanced audioProcessor.js with improved voice quality and loudness
-const VADDetector = require ('../utils/vadDetector');
+const {createVad} = require ('../utils/vad');
 const {v4: uuidv4} = require ('uuid');
-const TranscriptionService = require ('./transcriptionService');
-const RAGService = require ('./ragService');
-const TTSService = require ('./ttsService');
-const fs = require ('fs');
-const path = require ('path');
+const {createProvider, createProviders} = require ('./providers');
+const TTSQueue = require ('./ttsQueue');
+const Endpointer = require ('./endpointer');
+const UtteranceSegmenter = require ('./utteranceSegmenter');
+const ConversationHistory = require ('./conversationHistory');
+const fallbackPrompts = require ('./fallbackPrompts');
+const CallRecord = require ('./callRecord');
+const {getCallRecordStore} = require ('./callRecordStore');
+const recordingStore = require ('./recordingStore');
+const metrics = require ('./metrics');
+const audioFormat = require ('../utils/audioFormat');
+const logger = require ('../utils/logger');
+const callControl = require ('./callControl');
+const sessionManager = require ('./sessionManager');
+const config = require ('../config');
+const resilience = require ('../config/resilience');
+const {backoffDelay, withTimeout} = require ('../utils/retry');
 const {spawn} = require ('child_process');
+const EventEmitter = require ('events');
 const ffmpegPath = require ('@ffmpeg-installer/ffmpeg').path;
 
-function timestamp () {
-  return `[${new Date ().toISOString ().replace ('T', ' ').replace ('Z', '')}]`;
-}
+// Per-turn latencies that are also exported as Prometheus histograms
+const LATENCY_METRICS = {
+  silenceToTranscriptMs: metrics.observeSttLatency,
+  transcriptToFirstSentenceMs: metrics.observeRagFirstSentenceLatency,
+  firstSentenceToTtsAudioMs: metrics.observeTtsFirstAudioLatency,
+  silenceToPlaybackMs: metrics.observePlaybackLatency,
+};
 
-class AudioProcessor {
-  constructor (callSid, ws, streamSid) {
+// Events, for tools that watch a call (see scripts/replay.js):
+//   'vad' ({voiced, botSpeaking})   every inbound frame the VAD looked at
+//   'speechStart' ()                 an utterance started recording
+//   'speechEnd' ({reason, speechMs, endpoint})
+//                                    the utterance was cut for processing
+//   'utteranceSkipped' ({reason})    it was dropped before STT
+//   'transcript' ({turnId, text})
+//   'bargeIn' ()                     the caller interrupted playback
+class AudioProcessor extends EventEmitter {
+  constructor (callSid, ws, streamSid, options = {}) {
+    super ();
     this.callSid = callSid;
     this.ws = ws;
     this.streamSid = streamSid;
 
-    this.vadDetector = new VADDetector ();
-    this.transcriptionService = new TranscriptionService ();
-    this.ragService = new RAGService ();
-    this.ttsService = new TTSService ();
+    // Every line logged for this call carries callSid / streamSid
+    this.log = logger.child ({callSid, streamSid});
+    this.vadLog = this.log.child ({component: 'vad'});
+    // Detector strategy (score / energy / gmm), per call or config.vad.strategy
+    this.vadStrategy = options.vadStrategy || config.vad.strategy;
+    this.vadDetector = createVad (this.vadStrategy, {...options.vad, logger: this.vadLog});
+
+    // STT / RAG / TTS backends come from the provider registry
+    const providerOptions = options.providerOptions || {};
+    const providers = createProviders (options.providers, {
+      stt: {logger: this.log.child ({component: 'stt'}), ...providerOptions.stt},
+      rag: {logger: this.log.child ({component: 'rag'}), ...providerOptions.rag},
+      tts: {logger: this.log.child ({component: 'tts'}), ...providerOptions.tts},
+    });
+    this.providerSelection = providers.selection;
+    this.transcriptionService = providers.stt;
+    this.ragService = providers.rag;
+    this.ttsService = providers.tts;
+    // Admin say() and prompt prerendering get their own TTS instance, so a
+    // barge-in cancelling the answer (TTSQueue.cancel) leaves them running
+    this.promptTtsService = createProvider ('tts', this.providerSelection.tts, {
+      logger: this.log.child ({component: 'tts'}),
+      ...providerOptions.tts,
+    });
+
+    // Structured transcript and timing record, persisted when the call ends
+    this.callRecord = new CallRecord ({
+      callSid,
+      streamSid,
+      metadata: options.callMetadata,
+      providers: {...this.providerSelection, vad: this.vadStrategy},
+    });
+    this.callRecordSaved = false;
+
+    // Streaming STT (when configured) lets a final transcript end the turn
+    // before the required silence runs out; partials tune that silence
+    this.transcriptionService.on ('partial', text => {
+      if (text) this.log.debug ('Partial transcript', {text});
+      if (this.isRecording) this.endpointer.onPartial (text);
+    });
+    this.transcriptionService.on ('final', text => this.onStreamingFinal (text));
+    // A slow STT retry would otherwise be silence; say so once per utterance
+    this.stillWorkingSaid = false;
+    this.transcriptionService.on ('retrying', () => {
+      if (this.stillWorkingSaid || !this.isProcessingQuery) return;
+      this.stillWorkingSaid = true;
+      this.playPrompt ('stillWorking', {twilioFallback: false});
+    });
+    this.transcriptionService.startStream (callSid);
+
+    // One RAG connection per call, opened up front to keep it off first-token latency
+    this.currentTurn = null;
+    this.ragService.on ('token', (token, requestId) =>
+      this.onRagToken (token, requestId)
+    );
+    this.ragService.on ('error', (error, requestId) => {
+      this.log.error ('RAG error', {requestId, error: error.message});
+      const turn = this.currentTurn;
+      if (turn && requestId === turn.requestId) this.onRagFailure (turn, error);
+    });
+    if (this.ragService.connect) this.ragService.connect ();
 
+    // Defaults from config.audio, overridable per call
+    const audio = {...config.audio, ...options.audio};
     this.audioBuffer = [];
     this.isRecording = false;
-    this.silenceCounter = 0;
-    this.silenceThreshold = 40; // Reduced for better responsiveness
+    this.silenceThreshold = audio.silenceThreshold;
+    // How much trailing silence ends a turn (see services/endpointer.js)
+    this.endpointer = new Endpointer ({
+      ...options.endpointing,
+      silenceFrames: this.silenceThreshold,
+    });
+    this.lastEndpoint = null;
+    // Utterance audio for STT: pre-roll before onset, post-roll after the last voiced frame
+    this.segmenter = new UtteranceSegmenter (audio);
+    this.utterance = null;
+    // Frames that arrive while a query is in flight only refill the pre-roll
+    this.thinkingFrames = 0;
+    this.minUtteranceMs = audio.minUtteranceMs;
 
     // Enhanced thresholds for better voice detection
-    this.minRMSThreshold = 200; // Further lowered for quiet speech
-    this.maxRMSThreshold = 40000; // Increased to allow louder speech
-    this.volumeBoost = 3.0; // Increased boost significantly
+    this.minRMSThreshold = audio.minRMS;
+    this.maxRMSThreshold = audio.maxRMS;
+    this.volumeBoost = audio.volumeBoost;
+
+    // Multi-turn memory sent with every RAG prompt (shared with the session)
+    this.history = options.history || new ConversationHistory ();
 
     this.sentenceBuffer = '';
-    this.ttsQueue = [];
-    this.isTtsBusy = false;
+    this.ttsQueue = new TTSQueue (this.ttsService, {
+      logger: this.log.child ({component: 'ttsQueue'}),
+    });
+    this.ttsQueue.on ('audio', (audioBuffer, item) =>
+      this.onTtsAudio (audioBuffer, item)
+    );
+    this.ttsQueue.on ('failed', (item, error) =>
+      this.handleStageFailure ('tts', error)
+    );
+
+    // Spoken fallbacks: apologise on a failed turn, escalate after repeated ones
+    this.consecutiveFailures = 0;
+    this.isEscalating = false;
+    this.isResuming = false;
+    // <Stream> parameters, replayed when the stream has to be reconnected
+    this.streamParameters = (options.callMetadata || {}).customParameters || {};
+    fallbackPrompts.prerender (this.promptTtsService, this.providerSelection.tts);
 
     this.timings = {
       voiceDetected: 0,
@@ -45,31 +159,59 @@ class AudioProcessor {
       llmFirstToken: 0,
       ttsAudioReceived: 0,
       audioPlayback: 0,
+      playbackDone: 0,
     };
     this.isProcessingQuery = false;
 
+    // Barge-in: sustained caller speech while the assistant is talking
+    this.bargeInThreshold = audio.bargeInFrames; // 10 frames is ~200 ms of speech
+    this.bargeInCounter = 0;
+    this.bargeInBuffer = [];
+
+    // Playback tracking: every outbound chunk is followed by a named mark that
+    // Twilio echoes back once the audio before it has been played
+    this.turnId = 0;
+    this.markCounter = 0;
+    this.pendingMarks = new Map ();
+
     // Audio quality parameters
-    this.noiseFloor = 200; // Dynamic noise floor
+    this.noiseFloor = audio.noiseFloor; // Dynamic noise floor
+    this.tunedNoiseFloor = null; // per-call / admin value, a lower bound for adaptation
     this.adaptiveGain = 1.0; // Adaptive gain control
-    this.audioBufferFmpeg = [];
   }
 
   async processAudio (audioData, mulawString) {
-    if (this.isProcessingQuery) return;
+    const mulawBuffer = Buffer.from (mulawString, 'base64');
+    this.segmenter.push (mulawBuffer);
+    if (this.isProcessingQuery) {
+      this.thinkingFrames++;
+      return;
+    }
     try {
-      const mulawBuffer = Buffer.from (mulawString, 'base64');
-      this.audioBufferFmpeg.push (mulawBuffer);
-
       const pcmData = this.mulawToPcm (audioData);
+
+      // While the assistant is talking, only listen for an interruption
+      if (this.isBotSpeaking ()) {
+        this.detectBargeIn (pcmData, mulawBuffer);
+        return;
+      }
+
+      this.transcriptionService.sendAudio (mulawBuffer);
       const hasVoice = this.vadDetector.detect (pcmData);
+      metrics.vadFrame (hasVoice, this.vadStrategy);
+      this.emit ('vad', {voiced: hasVoice, botSpeaking: false});
 
       if (hasVoice) {
         if (!this.isRecording) {
           this.timings.voiceDetected = Date.now ();
-          console.log (`${timestamp ()} 🔴 Voice detected, starting recording`);
+          this.log.info ('Voice detected, starting recording');
+          this.endpointer.startUtterance ();
+          this.segmenter.begin ();
+          this.emit ('speechStart');
         }
         this.isRecording = true;
-        this.silenceCounter = 0;
+        this.endpointer.push (true);
+        this.segmenter.markVoiced ();
         const energy = this.calculateRMS (pcmData);
 
         // Adaptive gain adjustment based on input level
@@ -90,21 +232,132 @@ class AudioProcessor {
           // console.log (`${timestamp ()} ⚠️ Energy level ${energy.toFixed (2)} filtered (range: ${dynamicMinThreshold}-${this.maxRMSThreshold})`);
         }
       } else if (this.isRecording) {
-        this.silenceCounter++;
-        if (this.silenceCounter >= this.silenceThreshold) {
-          this.timings.silenceDetected = Date.now ();
-          const recordTime = (this.timings.silenceDetected -
-            this.timings.voiceDetected).toFixed (2);
-          console.log (
-            `${timestamp ()} ⏸ Silence detected, processing recording (Spoke for ${recordTime} ms)`
-          );
-          await this.processRecording (mulawString);
+        const endpoint = this.endpointer.push (false);
+        if (endpoint) {
+          this.endTurn ('silence', endpoint);
+          await this.processRecording ();
           this.resetRecording ();
         }
       }
     } catch (error) {
-      console.error (`${timestamp ()} ❌ Audio processing error:`, error);
+      this.log.error ('Audio processing error', {error});
+    }
+  }
+
+  async onStreamingFinal (text) {
+    if (!this.isRecording || this.isProcessingQuery) return;
+
+    this.endTurn ('streaming-final', this.endpointer.snapshot ());
+    await this.processRecording (text);
+    this.resetRecording ();
+  }
+
+  // Logs why the caller's turn was cut; every turn goes through here
+  endTurn (reason, endpoint) {
+    this.timings.silenceDetected = Date.now ();
+    // On the stream clock (frame counts), so replays faster than real time agree
+    const {speechMs} = endpoint;
+    this.lastEndpoint = {reason, ...endpoint};
+    this.utterance = this.segmenter.finish ();
+    const {audio, ...segment} = this.utterance;
+    this.log.info ('End of turn, processing recording', {
+      ...this.lastEndpoint,
+      segment,
+    });
+    this.emit ('speechEnd', {reason, speechMs, endpoint});
+  }
+
+  isBotSpeaking () {
+    return this.pendingMarks.size > 0;
+  }
+
+  handleMark (name) {
+    const entry = this.pendingMarks.get (name);
+    if (!entry) return; // Stale mark from a cleared or previous answer
+    this.pendingMarks.delete (name);
+
+    const playedFor = Date.now () - entry.sentAt;
+    this.callRecord.markSentencePlayed (entry.turnId, entry.index);
+    this.log.info ('Sentence played', {
+      turnId: entry.turnId,
+      index: entry.index,
+      sentence: entry.sentence,
+      playedForMs: playedFor,
+    });
+
+    if (this.pendingMarks.size === 0) this.onPlaybackComplete (entry.turnId);
+  }
+
+  onPlaybackComplete (turnId) {
+    this.timings.playbackDone = Date.now ();
+    // A fully answered turn clears the failure streak
+    if (this.currentTurn && this.currentTurn.ragDone) {
+      this.consecutiveFailures = 0;
+      this.callRecord.setOutcome (turnId, 'answered');
+    }
+    const totalTime = this.timings.playbackDone - this.timings.silenceDetected;
+    this.callRecord.setLatency (turnId, 'silenceToPlaybackDoneMs', totalTime);
+    this.log.info ('Assistant finished speaking', {
+      turnId,
+      silenceToPlaybackDoneMs: totalTime,
+    });
+  }
+
+  detectBargeIn (pcmData, mulawBuffer) {
+    const hasVoice = this.vadDetector.detect (pcmData);
+    metrics.vadFrame (hasVoice, this.vadStrategy);
+    this.emit ('vad', {voiced: hasVoice, botSpeaking: true});
+    if (!hasVoice) {
+      this.bargeInCounter = 0;
+      this.bargeInBuffer = [];
+      return false;
+    }
+
+    this.bargeInCounter++;
+    this.bargeInBuffer.push ({pcmData, mulawBuffer});
+    if (this.bargeInCounter < this.bargeInThreshold) return false;
+
+    this.log.info ('Barge-in detected, interrupting playback', {
+      turnId: this.currentTurn ? this.currentTurn.turnId : this.turnId,
+    });
+    if (this.currentTurn) {
+      this.callRecord.setOutcome (this.currentTurn.turnId, 'interrupted');
+    }
+    this.interrupt ();
+    this.emit ('bargeIn');
+
+    // Start the new utterance with the frames that triggered the barge-in
+    this.timings.voiceDetected = Date.now ();
+    this.isRecording = true;
+    this.endpointer.startUtterance (this.bargeInBuffer.length);
+    this.segmenter.begin (this.bargeInBuffer.length);
+    // Streaming STT only hears the caller while the bot is quiet; catch it up
+    // on the onset so the first word is in the final
+    this.bargeInBuffer.forEach (frame =>
+      this.transcriptionService.sendAudio (frame.mulawBuffer)
+    );
+    this.audioBuffer = this.bargeInBuffer.map (frame => frame.pcmData);
+    this.bargeInBuffer = [];
+    this.bargeInCounter = 0;
+    this.emit ('speechStart');
+    return true;
+  }
+
+  // Stop talking and drop everything still in flight for the current answer
+  interrupt () {
+    if (this.isBotSpeaking () && this.ws.readyState === 1) {
+      this.ws.send (JSON.stringify ({event: 'clear', streamSid: this.streamSid}));
     }
+    // Twilio echoes marks for cleared audio too; they no longer match anything
+    this.pendingMarks.clear ();
+    this.cancelResponse ();
+  }
+
+  cancelResponse () {
+    if (this.currentTurn) clearTimeout (this.currentTurn.ragTimer);
+    this.currentTurn = null;
+    this.ragService.cancel ();
+    this.ttsQueue.cancel ();
   }
 
   adjustAdaptiveGain (currentEnergy) {
@@ -123,159 +376,474 @@ class AudioProcessor {
     }
   }
 
-  async processRecording (mulawString) {
-    if (this.audioBuffer.length === 0) return;
+  async processRecording (streamedTranscript = null) {
+    if (this.audioBuffer.length === 0 || !this.utterance) return;
+    // Judged on the voiced span: pre-/post-roll padding would let clicks through
+    const {voicedMs} = this.utterance;
+    if (voicedMs < this.minUtteranceMs) {
+      this.log.info ('Skipping short audio', {voicedMs});
+      metrics.utteranceSkipped ('too_short');
+      this.emit ('utteranceSkipped', {reason: 'too_short'});
+      return;
+    }
     const session = global.activeSessions.get (this.callSid);
 
     try {
+      this.isProcessingQuery = true;
+      this.stillWorkingSaid = false;
       if (session) session.isProcessing = true;
 
-      // Apply pre-processing before FFmpeg
-      const combined = Buffer.concat (this.audioBufferFmpeg);
-      const enhancedWav = await this.ffmpegMuLawToWav (combined);
-     
-     const getWavDuration = (buffer) => {
-        const sampleRate = buffer.readUInt32LE(24); // Usually 44100 or 8000
-        const dataChunkOffset = buffer.indexOf('data') + 8;
-        const dataLength = buffer.length - dataChunkOffset;
-        const bytesPerSample = 2; // Assuming 16-bit mono PCM
-        const durationSeconds = dataLength / (sampleRate * bytesPerSample);
-        return durationSeconds;
-      };
-
-      const duration = getWavDuration(enhancedWav);
-      if (duration < 0.5) { // 500 ms
-        console.log(`${timestamp()} 🛑 Skipping short audio (duration: ${duration}s).`);
+      const combined = this.utterance.audio;
+
+      // The streaming final is already in hand: answer first, keep the audio afterwards
+      if (streamedTranscript) {
+        this.timings.transcriptionDone = Date.now ();
+        const turnId = ++this.turnId;
+        this.log.info ('Transcription', {turnId, transcript: streamedTranscript});
+        this.emit ('transcript', {turnId, text: streamedTranscript});
+        this.respond (streamedTranscript, {turnId});
+        this.ffmpegMuLawToWav (combined)
+          .then (wav =>
+            this.attachRecording (turnId, this.saveRecording (wav, turnId))
+          )
+          .catch (error =>
+            this.log.error ('Saving recording failed', {turnId, error})
+          );
         return;
       }
 
-      const filename = `recording-${Date.now ()}.wav`;
-      const filePath = path.join (__dirname, '../public', filename);
-      fs.mkdirSync (path.dirname (filePath), {recursive: true});
-      fs.writeFileSync (filePath, enhancedWav);
+      const enhancedWav = await this.ffmpegMuLawToWav (combined);
+      const turnId = ++this.turnId;
+      const saving = this.saveRecording (enhancedWav, turnId);
 
-      const transcription = await this.transcriptionService.transcribe (enhancedWav);
+      let transcription;
+      try {
+        transcription = await this.transcriptionService.transcribe (
+          enhancedWav,
+          this.timings.voiceDetected
+        );
+      } catch (error) {
+        this.callRecord.addTurn ({
+          turnId,
+          startedAt: this.timings.voiceDetected,
+          endpoint: this.lastEndpoint,
+          outcome: 'failed:stt',
+        });
+        this.attachRecording (turnId, saving);
+        this.handleStageFailure ('stt', error);
+        return;
+      }
 
       this.timings.transcriptionDone = Date.now ();
-      const transcribeTime = (this.timings.transcriptionDone - this.timings.silenceDetected).toFixed (2);
-      console.log (`${timestamp ()} ⏱️ Transcription: ${transcription}`);
-      console.log (`${timestamp ()} 🕒 Time to transcribe: ${transcribeTime} ms`);
+      this.log.info ('Transcription', {
+        turnId,
+        transcript: transcription,
+        transcribeMs: this.timings.transcriptionDone - this.timings.silenceDetected,
+      });
+      this.emit ('transcript', {turnId, text: transcription});
 
       if (transcription && transcription.trim ()) {
-        this.ragService.getResponse (transcription);
-        let lastToken = '';
-        let CountToken = 0;
-
-        this.ttsService.removeAllListeners ('token');
-        this.ragService.on ('token', tokenRespose => {
-          const TokenCount = CountToken++;
-          if (TokenCount === 1) {
-            this.timings.llmFirstToken = Date.now ();
-            const llmDelay = (this.timings.llmFirstToken - this.timings.transcriptionDone).toFixed (2);
-            console.log (`${timestamp ()} ⏱️ First sentence Received`);
-            console.log (`${timestamp ()} 🕒 LLM delay: ${llmDelay} ms`);
-          }
-          let tokenSentence = JSON.parse(tokenRespose).sentence;
-          if(tokenSentence != 'COMPLETED') {
-            this.ttsService.synthesize (tokenSentence);
-            console.log (`${timestamp ()} 💬 LLM ${TokenCount}  Sentence: "${tokenSentence}"`);
-          }
-          
-          if (tokenSentence == 'COMPLETED') {
-            this.ragService.removeAllListeners ('token');
-            return;
+        this.respond (transcription, {turnId});
+        this.attachRecording (turnId, saving);
+      }
+    } catch (error) {
+      this.log.error ('Recording processing error', {error});
+    } finally {
+      this.isProcessingQuery = false;
+      if (session) session.isProcessing = false;
+      if (this.thinkingFrames > 0) {
+        this.log.debug ('Caller audio while thinking kept as pre-roll only', {
+          ms: this.thinkingFrames * 20,
+        });
+        this.thinkingFrames = 0;
+      }
+    }
+  }
+
+  // Best effort and off the hot path: resolves to the file's path, or null
+  // when the write failed, so a full disk never costs the caller their turn
+  saveRecording (wavBuffer, turnId) {
+    return recordingStore.save (this.callSid, turnId, wavBuffer).catch (error => {
+      this.log.error ('Saving recording failed', {turnId, error});
+      return null;
+    });
+  }
+
+  // Fills in the turn's audioPath once its recording is on disk
+  attachRecording (turnId, saving) {
+    saving.then (audioPath => {
+      const turn = this.callRecord.getTurn (turnId);
+      if (turn && audioPath) turn.audioPath = audioPath;
+    });
+  }
+
+  respond (transcription, {turnId = ++this.turnId} = {}) {
+    // A new question supersedes any answer still being generated
+    if (this.currentTurn) {
+      this.callRecord.setOutcome (this.currentTurn.turnId, 'superseded');
+    }
+    this.interrupt ();
+    const turn = {
+      turnId,
+      requestId: uuidv4 (),
+      query: transcription,
+      context: this.history.getContext (),
+      attempts: 0,
+      ragTimer: null,
+      sentenceIndex: 0,
+      tokenCount: 0,
+    };
+    this.currentTurn = turn;
+    this.history.addUserMessage (turn.turnId, transcription);
+    this.ragService.getResponse (transcription, turn.context, turn.requestId);
+    this.armRagTimer (turn);
+
+    const {voiceDetected, silenceDetected, transcriptionDone} = this.timings;
+    this.callRecord.addTurn ({
+      turnId: turn.turnId,
+      startedAt: voiceDetected,
+      transcript: transcription,
+      endpoint: this.lastEndpoint,
+      latencies: {speechMs: this.lastEndpoint.speechMs},
+    });
+    this.recordLatency (
+      turn.turnId,
+      'silenceToTranscriptMs',
+      transcriptionDone - silenceDetected
+    );
+    return turn.turnId;
+  }
+
+  // First value per turn goes to the call record and the latency histograms
+  recordLatency (turnId, name, ms) {
+    if (!this.callRecord.setLatency (turnId, name, ms)) return;
+    const observe = LATENCY_METRICS[name];
+    if (observe) observe (ms);
+  }
+
+  // First-sentence and between-sentence deadlines for the RAG stream
+  armRagTimer (turn) {
+    clearTimeout (turn.ragTimer);
+    const timeoutMs = turn.tokenCount === 0
+      ? resilience.rag.timeoutMs
+      : resilience.rag.idleTimeoutMs;
+    turn.ragTimer = setTimeout (
+      () =>
+        this.onRagFailure (turn, new Error (`RAG timed out after ${timeoutMs} ms`)),
+      timeoutMs
+    );
+  }
+
+  onRagFailure (turn, error) {
+    if (turn !== this.currentTurn) return;
+    clearTimeout (turn.ragTimer);
+
+    // Only a response that has not started streaming can be asked again
+    if (turn.tokenCount === 0 && turn.attempts < resilience.rag.retries) {
+      const delay = backoffDelay (turn.attempts, resilience.backoffMs);
+      turn.attempts++;
+      this.log.warn ('RAG failed, retrying', {
+        turnId: turn.turnId,
+        attempt: turn.attempts,
+        delayMs: delay,
+        error: error.message,
+      });
+      this.ragService.cancel ();
+      turn.ragTimer = setTimeout (() => {
+        if (turn !== this.currentTurn) return;
+        turn.requestId = uuidv4 ();
+        this.ragService.getResponse (turn.query, turn.context, turn.requestId);
+        this.armRagTimer (turn);
+      }, delay);
+      return;
+    }
+
+    this.handleStageFailure ('rag', error);
+  }
+
+  handleStageFailure (stage, error) {
+    this.consecutiveFailures++;
+    metrics.stageError (stage);
+    if (this.currentTurn) {
+      this.callRecord.setOutcome (this.currentTurn.turnId, `failed:${stage}`);
+    }
+    this.log.error ('Stage failed', {
+      stage,
+      turnId: this.currentTurn ? this.currentTurn.turnId : this.turnId,
+      consecutiveFailures: this.consecutiveFailures,
+      maxConsecutiveFailures: resilience.maxConsecutiveFailures,
+      error: error.message,
+    });
+    // Drop whatever is left of the answer, but keep audio already playing
+    this.cancelResponse ();
+
+    if (this.consecutiveFailures >= resilience.maxConsecutiveFailures) {
+      this.escalate ();
+    } else {
+      this.playPrompt ('apology');
+    }
+  }
+
+  playPrompt (name, {twilioFallback = true} = {}) {
+    const audio = fallbackPrompts.get (name, this.providerSelection.tts);
+    if (!audio) {
+      this.log.warn ('No pre-rendered prompt available', {prompt: name});
+      return twilioFallback ? this.sayThroughTwilio (name) : false;
+    }
+    this.playAudioViaMessage (audio, {
+      turnId: this.turnId,
+      index: 0,
+      sentence: fallbackPrompts.text (name),
+    });
+    return true;
+  }
+
+  // Without audio for a prompt (usually because our TTS is what failed),
+  // Twilio speaks it instead; that replaces the stream, so the call is sent
+  // back through the webhook and the conversation carried over
+  sayThroughTwilio (name) {
+    const {publicUrl} = config.server;
+    if (!publicUrl || this.isResuming || this.isEscalating) return false;
+    this.isResuming = true;
+
+    const query = new URLSearchParams ({...this.streamParameters, resume: 'true'});
+    const url = `${publicUrl}/voice/incoming-call?${query}`;
+    sessionManager.holdHistory (this.callSid, this.history);
+    callControl
+      .sayAndResume (this.callSid, fallbackPrompts.text (name), url)
+      .catch (error => {
+        this.log.error ('Spoken fallback failed', {prompt: name, error: error.message});
+        this.isResuming = false;
+      });
+    return true;
+  }
+
+  // Speak an arbitrary message into the live stream (admin API)
+  async say (text) {
+    const audio = await withTimeout (
+      this.promptTtsService.synthesize (text),
+      resilience.tts.timeoutMs,
+      'TTS'
+    );
+    this.playAudioViaMessage (audio, {
+      turnId: this.turnId,
+      index: 0,
+      sentence: text,
+    });
+  }
+
+  getState () {
+    if (this.isBotSpeaking ()) return 'speaking';
+    if (this.isProcessingQuery) return 'transcribing';
+    if (this.currentTurn && !this.currentTurn.ragDone) return 'thinking';
+    if (this.isRecording) return 'recording';
+    return 'listening';
+  }
+
+  getDiagnostics () {
+    const turn = this.currentTurn;
+    return {
+      state: this.getState (),
+      providers: this.providerSelection,
+      vad: this.vadDetector.getDiagnostics (),
+      audio: this.getAudioParameters (),
+      adaptiveGain: this.adaptiveGain,
+      currentTurn: turn
+        ? {
+            turnId: turn.turnId,
+            transcript: turn.query,
+            sentences: turn.sentenceIndex,
+            ragDone: Boolean (turn.ragDone),
+            ragAttempts: turn.attempts + 1,
           }
+        : null,
+      turnsCompleted: this.turnId,
+      pendingMarks: this.pendingMarks.size,
+      ttsQueueLength: this.ttsQueue.length,
+      consecutiveFailures: this.consecutiveFailures,
+      logLevel: this.log.getLevel (),
+      vadDebug: Boolean (this.vadDetector.debug),
+    };
+  }
 
-          // const needsSpace = lastToken && !/['.,!?]/.test (token) && !/^['']/.test (token);
-          // if (needsSpace) this.sentenceBuffer += '';
-          // this.sentenceBuffer += token;
-          // lastToken = token;
-
-          // const boundaries = [];
-          // let inNumber = false;
-          // for (let i = 0; i < this.sentenceBuffer.length; i++) {
-          //   const char = this.sentenceBuffer[i];
-          //   if (/\d/.test (char)) {
-          //     inNumber = true;
-          //     continue;
-          //   }
-          //   if (/[.!?]/.test (char)) {
-          //     if (char === '.' && inNumber) continue;
-          //     if (
-          //       i === this.sentenceBuffer.length - 1 ||
-          //       /\s/.test (this.sentenceBuffer[i + 1])
-          //     ) {
-          //       boundaries.push (i + 1);
-          //     }
-          //   }
-          //   inNumber = false;
-          // }
-
-          // let lastIndex = 0;
-          // for (const boundary of boundaries) {
-          //   const sentence = this.sentenceBuffer
-          //     .substring (lastIndex, boundary)
-          //     .trim ();
-          //   if (sentence) {
-          //     this.ttsService.synthesize (sentence);
-          //     console.log (`${timestamp ()} 💬 LLM First Sentence: "${sentence}"`);
-          //   }
-          //   lastIndex = boundary;
-          // }
-
-          // this.sentenceBuffer = this.sentenceBuffer.substring (lastIndex);
-        });
+  // Runtime log controls for this call only (admin API)
+  setLogLevel (level) {
+    this.log.setLevel (level);
+  }
 
-        this.ttsService.removeAllListeners ('buffer');
-        this.ttsService.on ('buffer', audioBuffer => {
-          this.timings.ttsAudioReceived = Date.now ();
-          const ttsTime = (this.timings.ttsAudioReceived -
-            this.timings.llmFirstToken).toFixed (2);
-          console.log (
-            `${timestamp ()} 💬 TTS Audio Received, Length: ${audioBuffer.length} bytes`
-          );
-          console.log (`${timestamp ()} 🕒 TTS delay: ${ttsTime} ms`);
+  setVadDebug (enabled) {
+    this.vadDetector.debug = Boolean (enabled);
+    this.vadLog.setLevel (enabled ? 'debug' : null);
+  }
 
-          this.playAudioViaMessage (audioBuffer);
-        });
+  async escalate () {
+    if (this.isEscalating) return;
+    this.isEscalating = true;
+    const {transferNumber} = resilience;
+    try {
+      if (transferNumber) {
+        await callControl.transferCall (
+          this.callSid,
+          transferNumber,
+          fallbackPrompts.text ('transfer')
+        );
+      } else {
+        await callControl.hangupCall (
+          this.callSid,
+          fallbackPrompts.text ('goodbye')
+        );
       }
     } catch (error) {
-      console.error (`${timestamp ()} ❌ Recording processing error:`, error);
-    } finally {
-      if (session) session.isProcessing = false;
+      this.log.error ('Escalation failed', {error: error.message});
+      this.isEscalating = false;
+      this.playPrompt ('apology');
     }
   }
 
-  async playAudioViaMessage (base64PCM) {
-    try {
-      const now = Date.now ();
-      const playbackDelay = (now - this.timings.ttsAudioReceived).toFixed (2);
-      const totalDelay = (now - this.timings.silenceDetected).toFixed (2);
-      console.log (
-        `${timestamp ()} 🕒 Time from silence to playback: ${totalDelay} ms`
+  // Single RAG listener for the call; tokens are routed by request ID
+  onRagToken (tokenRespose, requestId) {
+    const turn = this.currentTurn;
+    if (!turn || requestId !== turn.requestId) return; // Stale or cancelled turn
+
+    const TokenCount = turn.tokenCount++;
+    this.armRagTimer (turn);
+    if (TokenCount === 0) {
+      this.timings.llmFirstToken = Date.now ();
+      const llmDelay = this.timings.llmFirstToken - this.timings.transcriptionDone;
+      this.log.info ('First sentence received', {
+        turnId: turn.turnId,
+        llmDelayMs: llmDelay,
+      });
+      this.recordLatency (turn.turnId, 'transcriptToFirstSentenceMs', llmDelay);
+    }
+    let tokenSentence = JSON.parse(tokenRespose).sentence;
+    if(tokenSentence != 'COMPLETED') {
+      this.history.addAssistantSentence (turn.turnId, tokenSentence);
+      this.callRecord.addSentence (
+        turn.turnId,
+        turn.sentenceIndex + 1,
+        tokenSentence
       );
+      this.ttsQueue.enqueue (tokenSentence, {
+        turnId: turn.turnId,
+        index: ++turn.sentenceIndex,
+      });
+      this.log.info ('LLM sentence', {
+        turnId: turn.turnId,
+        index: turn.sentenceIndex,
+        sentence: tokenSentence,
+      });
+    }
+
+    if (tokenSentence == 'COMPLETED') {
+      clearTimeout (turn.ragTimer);
+      turn.ragDone = true;
+      return;
+    }
 
-      const chunkDuration = base64PCM.length / 16000 / 2 * 1000;
+    // const needsSpace = lastToken && !/['.,!?]/.test (token) && !/^['']/.test (token);
+    // if (needsSpace) this.sentenceBuffer += '';
+    // this.sentenceBuffer += token;
+    // lastToken = token;
+
+    // const boundaries = [];
+    // let inNumber = false;
+    // for (let i = 0; i < this.sentenceBuffer.length; i++) {
+    //   const char = this.sentenceBuffer[i];
+    //   if (/\d/.test (char)) {
+    //     inNumber = true;
+    //     continue;
+    //   }
+    //   if (/[.!?]/.test (char)) {
+    //     if (char === '.' && inNumber) continue;
+    //     if (
+    //       i === this.sentenceBuffer.length - 1 ||
+    //       /\s/.test (this.sentenceBuffer[i + 1])
+    //     ) {
+    //       boundaries.push (i + 1);
+    //     }
+    //   }
+    //   inNumber = false;
+    // }
+
+    // let lastIndex = 0;
+    // for (const boundary of boundaries) {
+    //   const sentence = this.sentenceBuffer
+    //     .substring (lastIndex, boundary)
+    //     .trim ();
+    //   if (sentence) {
+    //     this.ttsService.synthesize (sentence);
+    //     console.log (`${timestamp ()} 💬 LLM First Sentence: "${sentence}"`);
+    //   }
+    //   lastIndex = boundary;
+    // }
+
+    // this.sentenceBuffer = this.sentenceBuffer.substring (lastIndex);
+  }
+
+  onTtsAudio (audioBuffer, item) {
+    this.timings.ttsAudioReceived = Date.now ();
+    const ttsTime = this.timings.ttsAudioReceived - this.timings.llmFirstToken;
+    this.log.info ('TTS audio received', {
+      turnId: item.meta.turnId,
+      index: item.meta.index,
+      bytes: audioBuffer.length,
+      ttsDelayMs: ttsTime,
+    });
+    this.recordLatency (item.meta.turnId, 'firstSentenceToTtsAudioMs', ttsTime);
+
+    this.playAudioViaMessage (audioBuffer, {
+      turnId: item.meta.turnId,
+      index: item.meta.index,
+      sentence: item.sentence,
+    });
+  }
+
+  playAudioViaMessage (base64Ulaw, info = {}) {
+    try {
+      const now = Date.now ();
+      const playbackDelay = now - this.timings.ttsAudioReceived;
+      // Prompts (index 0) are not part of an answer and do not count
+      if (!this.isBotSpeaking () && info.index > 0) {
+        this.timings.audioPlayback = now;
+        const totalDelay = now - this.timings.silenceDetected;
+        this.log.info ('Playback started', {
+          turnId: info.turnId,
+          silenceToPlaybackMs: totalDelay,
+        });
+        this.recordLatency (info.turnId, 'silenceToPlaybackMs', totalDelay);
+      }
 
       this.ws.send (
         JSON.stringify ({
           event: 'media',
           streamSid: this.streamSid,
-          media: {payload: base64PCM},
+          media: {payload: base64Ulaw},
         })
       );
 
-      console.log (
-        `${timestamp ()} 🔊 Audio sent to Twilio (Playback delay: ${playbackDelay} ms)`
+      const markName = `turn-${info.turnId || this.turnId}-chunk-${++this.markCounter}`;
+      this.pendingMarks.set (markName, {
+        turnId: info.turnId || this.turnId,
+        index: info.index || 0,
+        sentence: info.sentence || '',
+        sentAt: now,
+      });
+      this.ws.send (
+        JSON.stringify ({
+          event: 'mark',
+          streamSid: this.streamSid,
+          mark: {name: markName},
+        })
       );
 
-      await new Promise (resolve => setTimeout (resolve, chunkDuration + 200));
-      this.isProcessingQuery = false;
-      console.log (
-        '======================================================================================================================='
-      );
+      this.log.debug ('Audio sent to Twilio', {
+        turnId: info.turnId || this.turnId,
+        mark: markName,
+        playbackDelayMs: playbackDelay,
+      });
     } catch (error) {
-      console.error (`${timestamp ()} ❌ Playback failed:`, error);
+      this.log.error ('Playback failed', {error});
     }
   }
 
@@ -313,7 +881,9 @@ class AudioProcessor {
 
       const chunks = [];
       ffmpeg.stdout.on ('data', chunk => chunks.push (chunk));
-      ffmpeg.stderr.on ('data', err => console.error () );
+      ffmpeg.stderr.on ('data', data =>
+        this.log.debug ('ffmpeg', {stderr: data.toString ().trim ()})
+      );
       ffmpeg.on ('close', code => {
         if (code === 0) resolve (Buffer.concat (chunks));
         else reject (new Error (`FFmpeg exited with code ${code}`));
@@ -325,9 +895,12 @@ class AudioProcessor {
   }
 
   resetRecording () {
-    this.audioBufferFmpeg = [];
+    this.audioBuffer = [];
+    this.segmenter.cancel ();
+    this.utterance = null;
     this.isRecording = false;
-    this.silenceCounter = 0;
+    this.bargeInCounter = 0;
+    this.bargeInBuffer = [];
 
     // Update noise floor based on recent audio
     this.updateNoiseFloor ();
@@ -336,7 +909,10 @@ class AudioProcessor {
   updateNoiseFloor () {
     // Adaptive noise floor based on recent background levels
     const backgroundLevel = this.vadDetector.getBackgroundNoise ();
-    this.noiseFloor = Math.max (150, Math.min (400, backgroundLevel * 1.5));
+    const adaptive = Math.max (150, Math.min (400, backgroundLevel * 1.5));
+    this.noiseFloor = this.tunedNoiseFloor === null
+      ? adaptive
+      : Math.max (this.tunedNoiseFloor, adaptive);
   }
 
   calculateRMS (buffer) {
@@ -375,9 +951,7 @@ class AudioProcessor {
     const rms = Math.sqrt (sum / samples);
     const zcr = zeroCrossings / (pcmData.length / 2);
 
-    console.log (
-      `[VoiceCheck] RMS: ${rms.toFixed (2)}, Peak: ${peakLevel}, ZCR: ${zcr.toFixed (4)}`
-    );
+    this.log.debug ('Voice check', {rms, peak: peakLevel, zcr});
 
     // Enhanced voice detection with multiple criteria
     const hasEnergy = rms > threshold;
@@ -388,48 +962,74 @@ class AudioProcessor {
   }
 
   mulawToPcm (mulawData) {
-    const pcmData = Buffer.alloc (mulawData.length * 2);
-    for (let i = 0; i < mulawData.length; i++) {
-      const mulaw = mulawData[i];
-      let pcm = this.mulawToPcmSample (mulaw);
-
-      // Reduce noise gate threshold for better sensitivity
-      if (Math.abs (pcm) < 200) pcm = 0;
+    // Reduce noise gate threshold for better sensitivity
+    return audioFormat.mulawToPcm (mulawData, {
+      noiseGate: audioFormat.INPUT_NOISE_GATE,
+    });
+  }
 
-      pcmData.writeInt16LE (pcm, i * 2);
+  // Persist the call record once; later calls are no-ops
+  async saveCallRecord (reason) {
+    if (this.callRecordSaved) return null;
+    this.callRecordSaved = true;
+    this.callRecord.finish (reason);
+    try {
+      const location = await getCallRecordStore ().save (this.callRecord);
+      this.log.info ('Call record saved', {location, reason});
+      return location;
+    } catch (error) {
+      this.log.error ('Saving call record failed', {error});
+      return null;
     }
-    return pcmData;
   }
 
   cleanup () {
+    this.interrupt ();
+    this.transcriptionService.stopStream ();
+    this.ragService.close ();
     this.resetRecording ();
   }
 
   mulawToPcmSample (mulaw) {
-    const MULAW_BIAS = 0x84;
-    mulaw = ~mulaw & 0xff;
-    const sign = mulaw & 0x80;
-    const exponent = (mulaw >> 4) & 0x07;
-    const mantissa = mulaw & 0x0f;
-    let sample = exponent === 0
-      ? (mantissa << 1) + MULAW_BIAS
-      : ((mantissa | 0x10) << (exponent + 3)) + MULAW_BIAS;
-    return Math.max (-32768, Math.min (32767, sign ? -sample : sample));
-  }
-
-  // Method to manually adjust audio parameters
+    return audioFormat.mulawToPcmSample (mulaw);
+  }
+
+  // Per-call tuning from <Stream> parameters or the admin API; values are
+  // expected to be validated already (see services/audioTuning.js)
   adjustAudioParameters (options = {}) {
-    if (options.minRMS) this.minRMSThreshold = options.minRMS;
-    if (options.maxRMS) this.maxRMSThreshold = options.maxRMS;
-    if (options.volumeBoost) this.volumeBoost = options.volumeBoost;
-    if (options.noiseFloor) this.noiseFloor = options.noiseFloor;
+    if (options.minRMS !== undefined) this.minRMSThreshold = options.minRMS;
+    if (options.maxRMS !== undefined) this.maxRMSThreshold = options.maxRMS;
+    if (options.volumeBoost !== undefined) this.volumeBoost = options.volumeBoost;
+    if (options.noiseFloor !== undefined) {
+      this.noiseFloor = options.noiseFloor;
+      this.tunedNoiseFloor = options.noiseFloor;
+    }
+    if (options.silenceThreshold !== undefined) {
+      this.silenceThreshold = options.silenceThreshold;
+      this.endpointer.setBaseline (options.silenceThreshold);
+    }
+    if (options.vadThreshold !== undefined) {
+      this.vadDetector.updateThreshold (options.vadThreshold);
+    }
+    if (options.vadHangoverTime !== undefined) {
+      this.vadDetector.hangoverTime = options.vadHangoverTime;
+    }
+
+    const params = this.getAudioParameters ();
+    this.log.info ('Audio parameters adjusted', params);
+    return params;
+  }
 
-    console.log (`${timestamp ()} 🎛️ Audio parameters adjusted:`, {
+  getAudioParameters () {
+    return {
       minRMS: this.minRMSThreshold,
       maxRMS: this.maxRMSThreshold,
       volumeBoost: this.volumeBoost,
       noiseFloor: this.noiseFloor,
-    });
+      silenceThreshold: this.silenceThreshold,
+      vadThreshold: this.vadDetector.threshold,
+      vadHangoverTime: this.vadDetector.hangoverTime,
+    };
   }
 }
 
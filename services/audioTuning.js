@@ -0,0 +1,51 @@
+// services/audioTuning.js
+// Per-call audio tuning. The same names are accepted as <Stream> custom
+// parameters (strings, set from the /voice/incoming-call query) and as the
+// JSON body of the live admin endpoint, e.g. a noisy call-centre line:
+//   /voice/incoming-call?noiseFloor=600&minRMS=500&vadThreshold=900
+
+const PARAMS = {
+  minRMS: { min: 0, max: 32768 },
+  maxRMS: { min: 0, max: 65536 },
+  volumeBoost: { min: 0, max: 10 },
+  noiseFloor: { min: 0, max: 32768 },
+  silenceThreshold: { min: 1, max: 500, integer: true }, // 20 ms frames
+  vadThreshold: { min: 0, max: 32768 },
+  vadHangoverTime: { min: 0, max: 100, integer: true }, // frames
+};
+
+// Picks the tuning keys out of `source`; anything else is ignored.
+// Returns { tuning, errors } so callers decide whether bad values are fatal.
+function parseTuning(source = {}) {
+  const tuning = {};
+  const errors = [];
+  for (const [name, spec] of Object.entries(PARAMS)) {
+    const raw = source[name];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const value = typeof raw === 'number' ? raw : Number(raw);
+    if (!Number.isFinite(value) || (spec.integer && !Number.isInteger(value))) {
+      errors.push(`${name} must be ${spec.integer ? 'an integer' : 'a number'}, got "${raw}"`);
+    } else if (value < spec.min || value > spec.max) {
+      errors.push(`${name} must be between ${spec.min} and ${spec.max}, got ${value}`);
+    } else {
+      tuning[name] = value;
+    }
+  }
+  if (tuning.minRMS !== undefined && tuning.maxRMS !== undefined && tuning.minRMS > tuning.maxRMS) {
+    errors.push('minRMS must not exceed maxRMS');
+    delete tuning.minRMS;
+    delete tuning.maxRMS;
+  }
+  return { tuning, errors };
+}
+
+// Tuning as <Stream> parameters: [{ name, value }] with string values
+function toStreamParameters(tuning) {
+  return Object.entries(tuning).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+module.exports = {
+  PARAMS,
+  parseTuning,
+  toStreamParameters,
+};
@@ -0,0 +1,49 @@
+// services/callControl.js
+// Live-call actions through the Twilio REST API. The client is loaded lazily
+// so the audio pipeline can run without Twilio credentials (tests, replays).
+const twilio = require('twilio');
+const logger = require('../utils/logger');
+
+const VoiceResponse = twilio.twiml.VoiceResponse;
+const log = logger.child({ component: 'callControl' });
+
+function client() {
+  return require('../config/twilio');
+}
+
+// Replace the running TwiML (and with it the media stream) with a new one
+async function updateCall(callSid, twiml) {
+  return client().calls(callSid).update({ twiml: twiml.toString() });
+}
+
+async function transferCall(callSid, number, message) {
+  const twiml = new VoiceResponse();
+  if (message) twiml.say({ voice: 'alice', language: 'en-US' }, message);
+  twiml.dial(number);
+  log.info('Transferring call', { callSid, number });
+  return updateCall(callSid, twiml);
+}
+
+// Speak `message` with Twilio's own voice, then fetch fresh TwiML (a new
+// media stream) from `url`; used when our TTS cannot produce the audio
+async function sayAndResume(callSid, message, url) {
+  const twiml = new VoiceResponse();
+  twiml.say({ voice: 'alice', language: 'en-US' }, message);
+  twiml.redirect({ method: 'POST' }, url);
+  log.info('Speaking through Twilio and resuming the stream', { callSid });
+  return updateCall(callSid, twiml);
+}
+
+async function hangupCall(callSid, message) {
+  const twiml = new VoiceResponse();
+  if (message) twiml.say({ voice: 'alice', language: 'en-US' }, message);
+  twiml.hangup();
+  log.info('Hanging up call', { callSid });
+  return updateCall(callSid, twiml);
+}
+
+module.exports = {
+  transferCall,
+  sayAndResume,
+  hangupCall,
+};
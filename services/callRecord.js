@@ -0,0 +1,85 @@
+// services/callRecord.js
+// Structured per-call record for QA review: call metadata plus every turn's
+// transcript, RAG sentences, per-stage latencies and the utterance audio path.
+
+class CallRecord {
+  constructor(meta = {}) {
+    this.callSid = meta.callSid;
+    this.streamSid = meta.streamSid;
+    this.metadata = meta.metadata || {};
+    this.providers = meta.providers || {};
+    this.startedAt = Date.now();
+    this.endedAt = null;
+    this.endReason = null;
+    this.turns = [];
+  }
+
+  addTurn(fields = {}) {
+    const turn = {
+      turnId: null,
+      startedAt: Date.now(),
+      transcript: null,
+      audioPath: null,
+      sentences: [],
+      latencies: {},
+      outcome: 'in-progress',
+      ...fields,
+    };
+    this.turns.push(turn);
+    return turn;
+  }
+
+  getTurn(turnId) {
+    return this.turns.find((turn) => turn.turnId === turnId) || null;
+  }
+
+  addSentence(turnId, index, text) {
+    const turn = this.getTurn(turnId);
+    if (turn) turn.sentences.push({ index, text, generatedAt: Date.now(), playedAt: null });
+  }
+
+  markSentencePlayed(turnId, index) {
+    const turn = this.getTurn(turnId);
+    const sentence = turn && turn.sentences.find((s) => s.index === index);
+    if (sentence) sentence.playedAt = Date.now();
+  }
+
+  // Only the first value is kept, so retries do not overwrite the real latency.
+  // Returns whether the value was recorded.
+  setLatency(turnId, name, ms) {
+    const turn = this.getTurn(turnId);
+    if (!turn || turn.latencies[name] !== undefined) return false;
+    turn.latencies[name] = ms;
+    return true;
+  }
+
+  setOutcome(turnId, outcome) {
+    const turn = this.getTurn(turnId);
+    if (turn && turn.outcome === 'in-progress') turn.outcome = outcome;
+  }
+
+  finish(reason) {
+    if (this.endedAt) return;
+    this.endedAt = Date.now();
+    this.endReason = reason;
+    this.turns.forEach((turn) => {
+      if (turn.outcome === 'in-progress') turn.outcome = 'call-ended';
+    });
+  }
+
+  toJSON() {
+    return {
+      callSid: this.callSid,
+      streamSid: this.streamSid,
+      metadata: this.metadata,
+      providers: this.providers,
+      startedAt: new Date(this.startedAt).toISOString(),
+      endedAt: this.endedAt ? new Date(this.endedAt).toISOString() : null,
+      durationMs: (this.endedAt || Date.now()) - this.startedAt,
+      endReason: this.endReason,
+      turns: this.turns,
+    };
+  }
+}
+
+module.exports = CallRecord;
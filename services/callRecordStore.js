@@ -0,0 +1,52 @@
+// services/callRecordStore.js
+// Where finished call records go. The local filesystem store is the default;
+// other backends register a factory and are picked with CALL_RECORD_STORE
+// (callRecords.store).
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { safeSegment } = require('../utils/safePath');
+
+class FileCallRecordStore {
+  constructor(options = {}) {
+    this.dir = options.dir || config.callRecords.dir;
+  }
+
+  // data/calls/<YYYY-MM-DD>/<callSid>.json
+  async save(record) {
+    const data = record.toJSON();
+    const day = data.startedAt.slice(0, 10);
+    const filePath = path.join(this.dir, day, `${safeSegment(data.callSid)}.json`);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(data, null, 2));
+    return filePath;
+  }
+}
+
+const factories = new Map([['file', (options) => new FileCallRecordStore(options)]]);
+let activeStore = null;
+
+function registerCallRecordStore(name, factory) {
+  factories.set(name, factory);
+}
+
+function getCallRecordStore() {
+  if (!activeStore) {
+    const name = config.callRecords.store;
+    const factory = factories.get(name);
+    if (!factory) throw new Error(`No call record store registered as "${name}"`);
+    activeStore = factory({});
+  }
+  return activeStore;
+}
+
+function setCallRecordStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  FileCallRecordStore,
+  registerCallRecordStore,
+  getCallRecordStore,
+  setCallRecordStore,
+};
@@ -0,0 +1,97 @@
+// services/conversationHistory.js
+//
+// Per-call memory sent along with every RAG prompt. Recent turns are kept
+// verbatim inside a turn/token window; anything older is folded into a short
+// running summary so follow-up questions still have context.
+
+const config = require('../config');
+
+const DEFAULT_MAX_SUMMARY_CHARS = 1200;
+
+// Rough token estimate (~4 characters per token) - good enough for windowing
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function firstSentence(text) {
+  const match = (text || '').match(/^.*?[.!?](\s|$)/);
+  return (match ? match[0] : text || '').trim();
+}
+
+// Default summariser: keeps the question and the opening sentence of each answer
+function extractiveSummary(previousSummary, turns) {
+  const lines = turns.map((turn) => {
+    const answer = firstSentence(turn.assistant);
+    return answer ? `User asked: ${turn.user} Assistant said: ${answer}` : `User asked: ${turn.user}`;
+  });
+  return [previousSummary, ...lines].filter(Boolean).join('\n');
+}
+
+class ConversationHistory {
+  constructor(options = {}) {
+    this.maxTurns = options.maxTurns || config.rag.historyMaxTurns;
+    this.maxTokens = options.maxTokens || config.rag.historyMaxTokens;
+    this.maxSummaryChars = options.maxSummaryChars || DEFAULT_MAX_SUMMARY_CHARS;
+    this.summarize = options.summarize || extractiveSummary;
+
+    this.turns = []; // { turnId, user, assistant, startedAt }
+    this.summary = '';
+  }
+
+  addUserMessage(turnId, text) {
+    this.turns.push({ turnId, user: text, assistant: '', startedAt: Date.now() });
+  }
+
+  addAssistantSentence(turnId, sentence) {
+    const turn = this.turns.find((t) => t.turnId === turnId);
+    if (!turn) return;
+    turn.assistant = turn.assistant ? `${turn.assistant} ${sentence}` : sentence;
+  }
+
+  // Context for the next prompt; call before adding the new user message
+  getContext() {
+    this.compact();
+    const messages = [];
+    for (const turn of this.turns) {
+      messages.push({ role: 'user', content: turn.user });
+      if (turn.assistant) messages.push({ role: 'assistant', content: turn.assistant });
+    }
+    return { summary: this.summary, messages };
+  }
+
+  // Fold turns that fall outside the window into the summary
+  compact() {
+    let tokens = this.turns.reduce(
+      (sum, t) => sum + estimateTokens(t.user) + estimateTokens(t.assistant),
+      0
+    );
+    let dropCount = 0;
+    while (
+      dropCount < this.turns.length &&
+      (this.turns.length - dropCount > this.maxTurns || tokens > this.maxTokens)
+    ) {
+      const turn = this.turns[dropCount];
+      tokens -= estimateTokens(turn.user) + estimateTokens(turn.assistant);
+      dropCount++;
+    }
+    if (dropCount === 0) return;
+
+    const dropped = this.turns.splice(0, dropCount);
+    const summary = this.summarize(this.summary, dropped);
+    // Keep the most recent part of the summary if it grows too long
+    this.summary = summary.length > this.maxSummaryChars
+      ? summary.slice(summary.length - this.maxSummaryChars)
+      : summary;
+  }
+
+  toJSON() {
+    return {
+      summary: this.summary,
+      turns: this.turns.map((t) => ({ ...t })),
+      maxTurns: this.maxTurns,
+      maxTokens: this.maxTokens,
+    };
+  }
+}
+
+module.exports = ConversationHistory;
@@ -0,0 +1,150 @@
+// services/endpointer.js
+//
+// Decides when the caller has finished a turn. AudioProcessor feeds it one
+// VAD decision per 20 ms frame while an utterance is recording; the turn
+// ends once the trailing silence reaches the required length.
+//
+// With `adaptive` off the required silence is the fixed baseline
+// (audio.silenceThreshold frames). With it on, the baseline is adjusted by:
+//   pause-rhythm       the caller's recent mid-utterance pauses (kept across
+//                      turns), averaged with the baseline - slow, deliberate
+//                      speakers get more room, and the baseline still counts
+//   short-utterance    quick answers ("yes", "no") end sooner
+//   continuation /     the latest partial transcript ends on a word that
+//   hesitation /       needs a follow-up ("and", "because"), a filler ("um")
+//   unfinished-clause  or a comma - wait longer
+//   complete-sentence  ...or on terminal punctuation - end sooner
+// and then clamped to [minSilenceMs, maxSilenceMs].
+
+const config = require('../config');
+
+const FRAME_MS = 20;
+// Silent runs shorter than this are VAD flicker, not pauses
+const MIN_PAUSE_FRAMES = 5;
+const PAUSE_HISTORY = 20;
+const MIN_PAUSES_FOR_RHYTHM = 3;
+
+const SHORT_UTTERANCE_FACTOR = 0.6;
+const HOLD_FACTOR = 1.6;
+const COMPLETE_FACTOR = 0.75;
+
+const HESITATIONS = new Set(['um', 'umm', 'uh', 'uhh', 'er', 'erm', 'hmm', 'mm']);
+const CONTINUATIONS = new Set([
+  'and', 'but', 'or', 'so', 'because', 'cause', 'if', 'then', 'than', 'like',
+  'the', 'a', 'an', 'to', 'of', 'for', 'with', 'in', 'on', 'at', 'from',
+  'my', 'your', 'our', 'their', 'is', 'are', 'was', 'were', 'that', 'which',
+  'who', 'when', 'where', 'about', 'i', "i'm", 'we', 'need', 'want',
+]);
+
+// What the end of a partial transcript says about the turn, or null
+function transcriptCue(text) {
+  const trimmed = (text || '').trim().toLowerCase();
+  if (!trimmed) return null;
+  // A trailing ellipsis trails off; check it before terminal punctuation
+  if (/[,;:\-–—]$/.test(trimmed) || /(\.\.\.|…)$/.test(trimmed)) return 'unfinished-clause';
+  if (/[.?!]["')]*$/.test(trimmed)) return 'complete-sentence';
+  const words = trimmed.replace(/[^a-z'\s]/g, ' ').split(/\s+/).filter(Boolean);
+  const last = words[words.length - 1];
+  if (HESITATIONS.has(last)) return 'hesitation';
+  if (CONTINUATIONS.has(last)) return 'continuation';
+  return null;
+}
+
+function percentile(values, fraction) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+class Endpointer {
+  constructor(options = {}) {
+    const settings = { ...config.endpointing, ...options };
+    this.adaptive = settings.adaptive;
+    this.minSilenceMs = settings.minSilenceMs;
+    this.maxSilenceMs = settings.maxSilenceMs;
+    this.shortUtteranceMs = settings.shortUtteranceMs;
+    this.setBaseline(settings.silenceFrames || config.audio.silenceThreshold);
+
+    this.pauses = []; // ms, most recent last
+    this.startUtterance();
+  }
+
+  // Baseline silence in 20 ms frames (audio.silenceThreshold)
+  setBaseline(frames) {
+    this.baselineMs = frames * FRAME_MS;
+  }
+
+  // `voicedFrames` counts speech already heard, e.g. frames that triggered a barge-in
+  startUtterance(voicedFrames = 0) {
+    this.voicedFrames = voicedFrames;
+    this.silentFrames = 0;
+    this.partial = '';
+  }
+
+  onPartial(text) {
+    this.partial = text || '';
+  }
+
+  // Feeds one VAD decision. Returns null while the turn goes on, or the
+  // decision { requiredMs, silenceMs, speechMs, cues } once it has ended.
+  push(voiced) {
+    if (voiced) {
+      if (this.silentFrames >= MIN_PAUSE_FRAMES && this.voicedFrames > 0) {
+        this.pauses.push(this.silentFrames * FRAME_MS);
+        if (this.pauses.length > PAUSE_HISTORY) this.pauses.shift();
+      }
+      this.silentFrames = 0;
+      this.voicedFrames++;
+      return null;
+    }
+
+    this.silentFrames++;
+    const decision = this.snapshot();
+    return decision.silenceMs >= decision.requiredMs ? decision : null;
+  }
+
+  // Where the current utterance stands, e.g. when something else ends the turn
+  snapshot() {
+    const { requiredMs, cues } = this.requiredSilence();
+    return {
+      requiredMs,
+      silenceMs: this.silentFrames * FRAME_MS,
+      speechMs: this.voicedFrames * FRAME_MS,
+      cues,
+    };
+  }
+
+  requiredSilence() {
+    if (!this.adaptive) return { requiredMs: this.baselineMs, cues: [] };
+
+    const cues = [];
+    let requiredMs = this.baselineMs;
+    if (this.pauses.length >= MIN_PAUSES_FOR_RHYTHM) {
+      // Comfortably longer than the pauses this caller makes mid-sentence,
+      // blended so the tuned baseline keeps pulling on the result
+      const rhythmMs = percentile(this.pauses, 0.9) * 1.25 + 100;
+      requiredMs = (this.baselineMs + rhythmMs) / 2;
+      cues.push('pause-rhythm');
+    }
+    if (this.voicedFrames * FRAME_MS < this.shortUtteranceMs) {
+      requiredMs *= SHORT_UTTERANCE_FACTOR;
+      cues.push('short-utterance');
+    }
+    const cue = transcriptCue(this.partial);
+    if (cue) {
+      requiredMs *= cue === 'complete-sentence' ? COMPLETE_FACTOR : HOLD_FACTOR;
+      cues.push(cue);
+    }
+
+    if (requiredMs < this.minSilenceMs) {
+      requiredMs = this.minSilenceMs;
+      cues.push('min-silence');
+    } else if (requiredMs > this.maxSilenceMs) {
+      requiredMs = this.maxSilenceMs;
+      cues.push('max-silence');
+    }
+    return { requiredMs: Math.round(requiredMs), cues };
+  }
+}
+
+module.exports = Endpointer;
+module.exports.transcriptCue = transcriptCue;
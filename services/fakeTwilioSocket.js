@@ -0,0 +1,56 @@
+// services/fakeTwilioSocket.js
+//
+// Twilio's side of playback, for the offline tools. Hand it what our server
+// sends on a media stream (send(json)); outbound audio is queued for playback
+// starting at the current stream time (clock() in ms), each mark comes due
+// once the audio sent before it has played, and `clear` drops what is left.
+// AudioProcessor can use it directly as its socket (services/replay.js).
+
+class FakeTwilioSocket {
+  constructor(clock, onMessage) {
+    this.readyState = 1;
+    this.clock = clock;
+    this.onMessage = onMessage;
+    this.playbackEndMs = 0;
+    this.pendingMarks = [];
+    this.botAudio = []; // [{ atMs, mulaw }]
+  }
+
+  send(data) {
+    const message = JSON.parse(data);
+    const now = this.clock();
+    if (message.event === 'media') {
+      const mulaw = Buffer.from(message.media.payload, 'base64');
+      const startMs = Math.max(now, this.playbackEndMs);
+      this.playbackEndMs = startMs + mulaw.length / 8;
+      this.botAudio.push({ atMs: startMs, mulaw });
+      this.onMessage(message, { playsAtMs: startMs, durationMs: mulaw.length / 8 });
+    } else if (message.event === 'mark') {
+      this.pendingMarks.push({ name: message.mark.name, dueMs: Math.max(now, this.playbackEndMs) });
+      this.onMessage(message, {});
+    } else if (message.event === 'clear') {
+      this.playbackEndMs = now;
+      this.pendingMarks.forEach((mark) => { mark.dueMs = now; });
+      // Cut the queued audio short where playback stopped
+      this.botAudio = this.botAudio
+        .filter((chunk) => chunk.atMs < now)
+        .map((chunk) => ({ atMs: chunk.atMs, mulaw: chunk.mulaw.subarray(0, Math.max(0, (now - chunk.atMs) * 8)) }));
+      this.onMessage(message, {});
+    } else {
+      this.onMessage(message, {});
+    }
+  }
+
+  // Marks whose audio has played by `atMs`, in order
+  takeDueMarks(atMs) {
+    const due = this.pendingMarks.filter((mark) => mark.dueMs <= atMs);
+    this.pendingMarks = this.pendingMarks.filter((mark) => mark.dueMs > atMs);
+    return due;
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+}
+
+module.exports = FakeTwilioSocket;
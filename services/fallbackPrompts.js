@@ -0,0 +1,80 @@
+// services/fallbackPrompts.js
+//
+// Pre-rendered prompts played when a pipeline stage gives up, so callers
+// are never left in dead air. Each prompt is read from
+// <promptDir>/<name>.ulaw (raw 8 kHz μ-law) if present; otherwise it is
+// rendered once per TTS provider while that provider is healthy and cached
+// for the life of the process, so callers only ever hear their own call's
+// voice (a mock tone rendered for a test call never reaches a real one).
+// With neither, AudioProcessor has Twilio speak the text (see
+// sayThroughTwilio).
+const fs = require('fs');
+const path = require('path');
+const resilience = require('../config/resilience');
+const { withTimeout } = require('../utils/retry');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'fallbackPrompts' });
+
+const PROMPTS = {
+  apology: "Sorry, I'm having trouble, let me try again.",
+  stillWorking: 'One moment, please.',
+  transfer: "Sorry, I'm still having trouble. Let me connect you to someone who can help.",
+  goodbye: "Sorry, I'm having trouble right now. Please call again later. Goodbye.",
+};
+
+// Files on disk serve every provider
+const ANY_PROVIDER = '*';
+
+const cache = new Map(); // `${provider}:${name}` -> base64 μ-law
+const prerendering = new Map(); // provider -> Promise
+
+function key(provider, name) {
+  return `${provider}:${name}`;
+}
+
+function loadFromDisk(dir = resilience.promptDir) {
+  for (const name of Object.keys(PROMPTS)) {
+    const filePath = path.join(dir, `${name}.ulaw`);
+    if (fs.existsSync(filePath)) {
+      cache.set(key(ANY_PROVIDER, name), fs.readFileSync(filePath).toString('base64'));
+    }
+  }
+}
+
+// Render whatever `provider` (the registry name of ttsService) is still
+// missing; safe to call for every new call
+function prerender(ttsService, provider) {
+  const missing = Object.keys(PROMPTS).filter((name) => !get(name, provider));
+  if (missing.length === 0) return Promise.resolve();
+  if (prerendering.has(provider)) return prerendering.get(provider);
+
+  const done = Promise.all(
+    missing.map((name) =>
+      withTimeout(ttsService.synthesize(PROMPTS[name]), resilience.tts.timeoutMs, `${name} prompt`)
+        .then((audio) => cache.set(key(provider, name), audio))
+        .catch((error) =>
+          log.warn('Could not pre-render prompt', { provider, prompt: name, error: error.message })
+        )
+    )
+  ).finally(() => prerendering.delete(provider));
+  prerendering.set(provider, done);
+  return done;
+}
+
+function get(name, provider) {
+  return cache.get(key(ANY_PROVIDER, name)) || cache.get(key(provider, name)) || null;
+}
+
+function text(name) {
+  return PROMPTS[name];
+}
+
+loadFromDisk();
+
+module.exports = {
+  loadFromDisk,
+  prerender,
+  get,
+  text,
+};
@@ -0,0 +1,107 @@
+// services/mediaCapture.js
+//
+// Opt-in capture of a call's raw Media Stream, for replaying bad calls
+// offline. Every message on the socket becomes one NDJSON line:
+//   {"ts": 1792400726975, "dir": "in", "message": {"event": "media", ...}}
+// `dir` is "in" for Twilio's events (connected, start, media with its
+// sequenceNumber and timestamp, mark, dtmf, stop) and "out" for what we send
+// back (media, mark, clear). Files go to <dir>/<YYYY-MM-DD>/<callSid>-<ms>.ndjson.
+//
+// A call is captured when its <Stream> carries capture=true (set from the
+// /voice/incoming-call query) or, failing that, with probability
+// capture.sampleRate (CAPTURE_SAMPLE_RATE). Captures older than capture.maxAgeHours
+// (CAPTURE_MAX_AGE_HOURS) are deleted by the recordings sweeper.
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { safeSegment } = require('../utils/safePath');
+const logger = require('../utils/logger');
+
+// Start-event parameters that must not end up on disk
+const REDACTED_PARAMETERS = ['streamToken'];
+
+function shouldCapture(params = {}, sampleRate = config.capture.sampleRate) {
+  if (params.capture !== undefined) return params.capture === 'true';
+  return sampleRate > 0 && Math.random() < sampleRate;
+}
+
+function redact(message) {
+  const params = message.start && message.start.customParameters;
+  if (!params) return message;
+  const customParameters = { ...params };
+  for (const name of REDACTED_PARAMETERS) {
+    if (name in customParameters) customParameters[name] = '***';
+  }
+  return { ...message, start: { ...message.start, customParameters } };
+}
+
+class MediaCapture {
+  constructor(callSid, options = {}) {
+    const dir = options.dir || config.capture.dir;
+    const day = new Date().toISOString().slice(0, 10);
+    this.filePath = path.join(dir, day, `${safeSegment(callSid)}-${Date.now()}.ndjson`);
+    this.log = options.logger || logger.child({ component: 'mediaCapture', callSid });
+    this.messages = 0;
+    this.socket = null;
+    this.originalSend = null;
+
+    // A full disk or a bad CAPTURE_DIR must not take the call down with it
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    } catch (error) {
+      this.log.error('Media capture failed, not capturing this call', { filePath: this.filePath, error });
+      this.stream = null;
+      return;
+    }
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      this.log.error('Media capture failed, stopping it', { filePath: this.filePath, error });
+      this.stream = null;
+    });
+  }
+
+  get active() {
+    return this.stream !== null;
+  }
+
+  // message: parsed object or the raw JSON string from the socket
+  record(direction, message, ts = Date.now()) {
+    if (!this.stream) return;
+    let parsed = message;
+    if (typeof message !== 'object' || Buffer.isBuffer(message)) {
+      try {
+        parsed = JSON.parse(message.toString());
+      } catch (error) {
+        parsed = { raw: message.toString() };
+      }
+    }
+    this.stream.write(`${JSON.stringify({ ts, dir: direction, message: redact(parsed) })}\n`);
+    this.messages++;
+  }
+
+  // Records everything sent on `ws` from now on, whoever sends it
+  attach(ws) {
+    this.socket = ws;
+    this.originalSend = ws.send;
+    ws.send = (data, ...rest) => {
+      this.record('out', data);
+      return this.originalSend.call(ws, data, ...rest);
+    };
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.send = this.originalSend;
+      this.socket = null;
+    }
+    if (!this.stream) return;
+    this.stream.end();
+    this.stream = null;
+    this.log.info('Media capture saved', { filePath: this.filePath, messages: this.messages });
+  }
+}
+
+module.exports = {
+  MediaCapture,
+  shouldCapture,
+};
@@ -0,0 +1,108 @@
+// services/metrics.js
+// Prometheus metrics for the voice pipeline, served on /metrics.
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// Voice latencies run from ~100 ms to several seconds
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 8, 13];
+
+function histogram(name, help) {
+  return new client.Histogram({ name, help, buckets: LATENCY_BUCKETS, registers: [register] });
+}
+
+const sttLatency = histogram('voice_stt_latency_seconds', 'End of speech to transcript');
+const ragFirstSentenceLatency = histogram(
+  'voice_rag_first_sentence_latency_seconds',
+  'Transcript to first RAG sentence'
+);
+const ttsFirstAudioLatency = histogram(
+  'voice_tts_first_audio_latency_seconds',
+  'First RAG sentence to first TTS audio'
+);
+const playbackLatency = histogram('voice_playback_latency_seconds', 'End of speech to start of playback');
+
+const callsStarted = new client.Counter({
+  name: 'voice_calls_started_total',
+  help: 'Media stream sessions started',
+  registers: [register],
+});
+const callsEnded = new client.Counter({
+  name: 'voice_calls_ended_total',
+  help: 'Media stream sessions ended',
+  registers: [register],
+});
+const stageErrors = new client.Counter({
+  name: 'voice_stage_errors_total',
+  help: 'STT/RAG/TTS failures after retries',
+  labelNames: ['stage'],
+  registers: [register],
+});
+const utterancesSkipped = new client.Counter({
+  name: 'voice_utterances_skipped_total',
+  help: 'Utterances dropped before transcription',
+  labelNames: ['reason'],
+  registers: [register],
+});
+const vadFrames = new client.Counter({
+  name: 'voice_vad_frames_total',
+  help: 'Inbound frames by VAD strategy and decision',
+  labelNames: ['strategy', 'decision'],
+  registers: [register],
+});
+
+function sessions() {
+  return global.activeSessions ? [...global.activeSessions.values()] : [];
+}
+
+new client.Gauge({
+  name: 'voice_active_sessions',
+  help: 'Calls with an active media stream',
+  registers: [register],
+  collect() {
+    this.set(sessions().length);
+  },
+});
+new client.Gauge({
+  name: 'voice_pending_tts_sentences',
+  help: 'Sentences queued or being synthesized, across all calls',
+  registers: [register],
+  collect() {
+    this.set(sessions().reduce((sum, s) => sum + (s.processor?.ttsQueue?.length || 0), 0));
+  },
+});
+new client.Gauge({
+  name: 'voice_pending_playback_marks',
+  help: 'Audio chunks sent to Twilio but not yet played, across all calls',
+  registers: [register],
+  collect() {
+    this.set(sessions().reduce((sum, s) => sum + (s.processor?.pendingMarks?.size || 0), 0));
+  },
+});
+new client.Gauge({
+  name: 'voice_pending_rag_requests',
+  help: 'RAG responses still streaming, across all calls',
+  registers: [register],
+  collect() {
+    this.set(sessions().reduce((sum, s) => sum + (s.processor?.ragService?.pending?.length || 0), 0));
+  },
+});
+
+// Latencies are measured in ms throughout the pipeline
+function observeMs(metric, ms) {
+  if (Number.isFinite(ms) && ms >= 0) metric.observe(ms / 1000);
+}
+
+module.exports = {
+  register,
+  observeSttLatency: (ms) => observeMs(sttLatency, ms),
+  observeRagFirstSentenceLatency: (ms) => observeMs(ragFirstSentenceLatency, ms),
+  observeTtsFirstAudioLatency: (ms) => observeMs(ttsFirstAudioLatency, ms),
+  observePlaybackLatency: (ms) => observeMs(playbackLatency, ms),
+  callStarted: () => callsStarted.inc(),
+  callEnded: () => callsEnded.inc(),
+  stageError: (stage) => stageErrors.inc({ stage }),
+  utteranceSkipped: (reason) => utterancesSkipped.inc({ reason }),
+  vadFrame: (voiced, strategy) => vadFrames.inc({ strategy, decision: voiced ? 'voiced' : 'silent' }),
+};
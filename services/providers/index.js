@@ -0,0 +1,112 @@
+// services/providers/index.js
+//
+// Registry of speech-to-text, RAG and text-to-speech backends.
+// Every provider is an EventEmitter built by a factory `(options) => instance`
+// and must implement its stage's interface:
+//
+//   stt: transcribe(wavBuffer, since) -> Promise<string|null>, rejects on failure
+//        startStream(callSid), sendAudio(mulawBuffer), stopStream()
+//        events: 'partial' (text), 'final' (text), optionally 'retrying'
+//        (attempt, error) before a retry of the same utterance
+//   rag: getResponse(query, context, requestId) -> requestId, cancel(), close()
+//        context is { summary, messages } from ConversationHistory
+//        events: 'token' (JSON string { sentence }, requestId) - the last
+//        sentence of a response is 'COMPLETED'; 'error' (error, requestId)
+//   tts: synthesize(sentence) -> Promise<base64 μ-law>, cancel()
+//
+// Factories receive `options.logger`, a child logger bound to the call, and
+// should log through it so every line carries the callSid.
+
+const config = require('../../config');
+const TranscriptionService = require('../transcriptionService');
+const RAGService = require('../ragService');
+const TTSService = require('../ttsService');
+const {
+  MockTranscriptionService,
+  EchoRAGService,
+  MockTTSService,
+} = require('./mockProviders');
+
+const STAGES = ['stt', 'rag', 'tts'];
+// Per-call overrides, as /voice/incoming-call query and <Stream> parameters
+const SELECTION_PARAMS = { stt: 'sttProvider', rag: 'ragProvider', tts: 'ttsProvider' };
+
+const registry = {
+  stt: new Map(),
+  rag: new Map(),
+  tts: new Map(),
+};
+
+function registerProvider(stage, name, factory) {
+  if (!registry[stage]) {
+    throw new Error(`Unknown provider stage "${stage}"`);
+  }
+  registry[stage].set(name, factory);
+}
+
+function listProviders() {
+  return Object.fromEntries(STAGES.map((stage) => [stage, [...registry[stage].keys()]]));
+}
+
+function isRegistered(stage, name) {
+  return Boolean(registry[stage] && registry[stage].has(name));
+}
+
+// Picks sttProvider / ragProvider / ttsProvider out of `params`. Returns
+// { selection, unknown }: only registered names are selected, the rest are
+// listed in `unknown` ("stage=name") for the caller to report.
+function selectionFromParams(params = {}) {
+  const selection = {};
+  const unknown = [];
+  for (const stage of STAGES) {
+    const name = params[SELECTION_PARAMS[stage]];
+    if (!name) continue;
+    if (isRegistered(stage, name)) selection[stage] = name;
+    else unknown.push(`${stage}=${name}`);
+  }
+  return { selection, unknown };
+}
+
+function createProvider(stage, name, options = {}) {
+  const factory = registry[stage] && registry[stage].get(name);
+  if (!factory) {
+    throw new Error(`No ${stage} provider registered as "${name}"`);
+  }
+  return factory(options);
+}
+
+// Process-wide defaults, overridable per call
+function defaultSelection() {
+  return { ...config.providers };
+}
+
+// Build one instance of each stage for a call. `selection` may name a
+// different provider per stage; `options` is passed through to the factories.
+function createProviders(selection = {}, options = {}) {
+  const chosen = { ...defaultSelection(), ...selection };
+  return {
+    selection: chosen,
+    stt: createProvider('stt', chosen.stt, options.stt),
+    rag: createProvider('rag', chosen.rag, options.rag),
+    tts: createProvider('tts', chosen.tts, options.tts),
+  };
+}
+
+registerProvider('stt', 'http', (options) => new TranscriptionService(options));
+registerProvider('rag', 'websocket', (options) => new RAGService(options));
+registerProvider('tts', 'websocket', (options) => new TTSService(options));
+
+registerProvider('stt', 'mock', (options) => new MockTranscriptionService(options));
+registerProvider('rag', 'echo', (options) => new EchoRAGService(options));
+registerProvider('rag', 'mock', (options) => new EchoRAGService(options));
+registerProvider('tts', 'mock', (options) => new MockTTSService(options));
+
+module.exports = {
+  SELECTION_PARAMS,
+  registerProvider,
+  listProviders,
+  isRegistered,
+  selectionFromParams,
+  createProvider,
+  createProviders,
+};
@@ -0,0 +1,83 @@
+// services/providers/mockProviders.js
+// In-process stand-ins so the pipeline can run with no network backends.
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config');
+const { pcmToMulawSample } = require('../../utils/audioFormat');
+
+// Always "hears" the same sentence (options.transcript or mock.transcript)
+class MockTranscriptionService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.transcript = options.transcript || config.mock.transcript;
+    this.streamingEnabled = false;
+  }
+
+  async transcribe() {
+    return this.transcript;
+  }
+
+  startStream() {}
+
+  sendAudio() {}
+
+  stopStream() {}
+}
+
+// Answers by repeating the question back, one sentence at a time
+class EchoRAGService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.delayMs = options.delayMs || 0;
+    this.timers = new Set();
+  }
+
+  getResponse(query, context = null, requestId = uuidv4()) {
+    const sentences = [`You said: ${query}`, 'COMPLETED'];
+    sentences.forEach((sentence, i) => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        this.emit('token', JSON.stringify({ requestId, sentence }), requestId);
+      }, this.delayMs * (i + 1));
+      this.timers.add(timer);
+    });
+    return requestId;
+  }
+
+  cancel() {
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  close() {
+    this.cancel();
+  }
+}
+
+// Renders a soft tone whose length follows the sentence length
+class MockTTSService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.msPerCharacter = options.msPerCharacter || 60;
+    this.frequency = options.frequency || 440;
+  }
+
+  async synthesize(sentence) {
+    const durationMs = Math.min(10000, Math.max(200, String(sentence).length * this.msPerCharacter));
+    const samples = Math.round(durationMs * 8); // 8 kHz
+    const ulaw = Buffer.alloc(samples);
+    for (let i = 0; i < samples; i++) {
+      ulaw[i] = pcmToMulawSample(Math.round(3000 * Math.sin((2 * Math.PI * this.frequency * i) / 8000)));
+    }
+    return ulaw.toString('base64');
+  }
+
+  cancel() {}
+}
+
+module.exports = {
+  MockTranscriptionService,
+  EchoRAGService,
+  MockTTSService,
+};
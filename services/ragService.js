@@ -1,39 +1,134 @@
 const WebSocket = require('ws');
 const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
 
+// One long-lived WebSocket per call. Every prompt carries a requestId and the
+// server echoes it on each { requestId, sentence } message, so tokens are
+// routed to the right turn. Older servers answer one prompt at a time, never
+// echo the requestId and ignore cancel messages: their replies belong to the
+// oldest prompt sent that has not COMPLETED yet, and are dropped while that
+// prompt is a cancelled one still streaming out.
 class RAGService extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
-    this.wsUrl = process.env.RAG_WEBSOCKET_URL;
+    this.wsUrl = options.wsUrl || config.rag.wsUrl;
+    this.log = options.logger || logger.child({ component: 'rag' });
+    this.ws = null;
+    this.pending = []; // requestIds still streaming, oldest first
+    this.sent = []; // requestIds on the wire until their COMPLETED, oldest first
+    this.outbox = []; // { requestId, data } queued while (re)connecting
+    this.echoesRequestId = false;
+    this.closed = false;
   }
 
-  getResponse(query) {
+  connect() {
+    if (this.ws || this.closed) return;
     const ws = new WebSocket(this.wsUrl);
-    const payload = { prompt: query };
+    this.ws = ws;
 
     ws.on('open', () => {
-      ws.send(JSON.stringify(payload));
+      const queued = this.outbox;
+      this.outbox = [];
+      queued.forEach(({ requestId, data }) => this.transmit(requestId, data));
     });
 
     ws.on('message', (data) => {
       try {
         const token = data.toString().trim();
-        this.emit('token', token);
+        const message = JSON.parse(token);
+        if (message.requestId) this.echoesRequestId = true;
+        const requestId = message.requestId || this.sent[0];
+        if (message.sentence === 'COMPLETED') {
+          this.sent = this.sent.filter((id) => id !== requestId);
+        }
+        if (!requestId || !this.pending.includes(requestId)) return; // cancelled or unknown
+
+        if (message.sentence === 'COMPLETED') {
+          this.pending = this.pending.filter((id) => id !== requestId);
+        }
+        this.emit('token', token, requestId);
       } catch (error) {
-        console.error('RAG message parsing error:', error);
+        this.log.error('RAG message parsing error', { error });
         this.emit('error', error);
       }
     });
 
     ws.on('error', (error) => {
-      console.error('RAG WebSocket error:', error);
-      this.emit('error', error);
+      this.log.error('RAG WebSocket error', { error: error.message });
     });
 
     ws.on('close', () => {
-      // optional: this.emit('closed');
+      if (this.ws === ws) this.ws = null;
+      // Streams cut off mid-answer cannot be resumed
+      const lost = this.pending;
+      this.pending = [];
+      this.sent = [];
+      this.outbox = [];
+      lost.forEach((requestId) => {
+        this.emit('error', new Error('RAG connection closed mid-response'), requestId);
+      });
     });
   }
+
+  send(message) {
+    const data = JSON.stringify(message);
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.transmit(message.requestId, data);
+    } else {
+      this.outbox.push({ requestId: message.requestId, data });
+      this.connect();
+    }
+  }
+
+  transmit(requestId, data) {
+    this.ws.send(data);
+    this.sent.push(requestId);
+  }
+
+  // context: { summary, messages } from the call's ConversationHistory
+  getResponse(query, context = null, requestId = uuidv4()) {
+    const payload = { requestId, prompt: query };
+    if (context) {
+      payload.history = context.messages;
+      payload.summary = context.summary;
+    }
+    this.pending.push(requestId);
+    this.send(payload);
+    return requestId;
+  }
+
+  // Stop routing tokens for in-flight responses and tell the server to stop.
+  // Cancelled prompts stay in `sent` so a server that ignores the cancel
+  // still has its leftover sentences matched to them, not to the next prompt.
+  cancel() {
+    const cancelled = this.pending;
+    this.pending = [];
+    this.outbox = [];
+    // A server that echoes ids honours the cancel and may never COMPLETE them
+    if (this.echoesRequestId) this.sent = this.sent.filter((id) => !cancelled.includes(id));
+    cancelled.forEach((requestId) => {
+      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        this.ws.send(JSON.stringify({ requestId, cancel: true }));
+      }
+    });
+  }
+
+  close() {
+    this.closed = true;
+    this.pending = [];
+    this.sent = [];
+    this.outbox = [];
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.removeAllListeners();
+      ws.on('error', () => {});
+      if (ws.readyState === WebSocket.OPEN) ws.close(1000, 'call ended');
+      else ws.terminate();
+    }
+  }
 }
 
 module.exports = RAGService;
@@ -0,0 +1,133 @@
+// services/recordingStore.js
+//
+// Utterance recordings, stored as <dir>/<callSid>/turn-<n>-<timestamp>.wav.
+// A background sweeper enforces retention by age and by total size
+// (oldest files go first), and ages out media captures
+// (services/mediaCapture) after capture.maxAgeHours. Nothing here is
+// exposed over HTTP unless RECORDINGS_HTTP_ENABLED=true, and then only
+// behind a bearer token.
+const fsp = require('fs').promises;
+const path = require('path');
+const express = require('express');
+const config = require('../config');
+const { safeSegment } = require('../utils/safePath');
+const { requireBearerToken } = require('../utils/bearerAuth');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'recordingStore' });
+
+const RECORDINGS_DIR = config.recordings.dir;
+const MAX_AGE_MS = config.recordings.maxAgeHours * 60 * 60 * 1000;
+const MAX_TOTAL_BYTES = config.recordings.maxTotalMb * 1024 * 1024;
+const CAPTURE_MAX_AGE_MS = config.capture.maxAgeHours * 60 * 60 * 1000;
+
+// Resolves to the file's path
+async function save(callSid, turnId, wavBuffer) {
+  const filename = `turn-${turnId}-${Date.now()}.wav`;
+  const filePath = path.join(RECORDINGS_DIR, safeSegment(callSid), filename);
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  await fsp.writeFile(filePath, wavBuffer);
+  return filePath;
+}
+
+// Files one folder down (<dir>/<callSid>/* here, <dir>/<day>/* for captures)
+async function listRecordings(dir = RECORDINGS_DIR) {
+  const files = [];
+  let callDirs;
+  try {
+    callDirs = await fsp.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return files;
+    throw error;
+  }
+  for (const callDir of callDirs) {
+    if (!callDir.isDirectory()) continue;
+    const dirPath = path.join(dir, callDir.name);
+    for (const name of await fsp.readdir(dirPath)) {
+      const filePath = path.join(dirPath, name);
+      const stat = await fsp.stat(filePath);
+      if (stat.isFile()) files.push({ filePath, size: stat.size, mtimeMs: stat.mtimeMs });
+    }
+  }
+  return files;
+}
+
+// Delete expired recordings, then the oldest ones until under the size cap.
+// Asynchronous throughout so a large directory never stalls live media.
+async function sweep({
+  dir = RECORDINGS_DIR,
+  maxAgeMs = MAX_AGE_MS,
+  maxTotalBytes = MAX_TOTAL_BYTES,
+  now = Date.now(),
+} = {}) {
+  const files = (await listRecordings(dir)).sort((a, b) => a.mtimeMs - b.mtimeMs);
+  let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  let removed = 0;
+
+  for (const file of files) {
+    const expired = now - file.mtimeMs > maxAgeMs;
+    if (!expired && totalBytes <= maxTotalBytes) break;
+    try {
+      await fsp.unlink(file.filePath);
+      totalBytes -= file.size;
+      removed++;
+    } catch (error) {
+      log.error('Could not delete recording', { filePath: file.filePath, error: error.message });
+    }
+  }
+
+  // Drop call folders left empty
+  const dirs = new Set(files.map((file) => path.dirname(file.filePath)));
+  for (const dirPath of dirs) {
+    if ((await fsp.readdir(dirPath).catch(() => [null])).length === 0) {
+      await fsp.rmdir(dirPath).catch(() => {});
+    }
+  }
+
+  if (removed > 0) {
+    log.info('Recording sweep finished', { dir, removed, keptBytes: totalBytes });
+  }
+  return { removed, totalBytes };
+}
+
+// Runs a sweep now and every intervalMs; a failing sweep (say an unreadable
+// RECORDINGS_DIR) is logged, never thrown. Captures are only aged out.
+function startSweeper(intervalMs = config.recordings.sweepIntervalMs) {
+  const run = () => {
+    sweep().catch((error) => log.error('Recording sweep failed', { error }));
+    sweep({ dir: config.capture.dir, maxAgeMs: CAPTURE_MAX_AGE_MS, maxTotalBytes: Infinity })
+      .catch((error) => log.error('Capture sweep failed', { error }));
+  };
+  run();
+  return setInterval(run, intervalMs);
+}
+
+// Opt-in static access to the recordings, e.g. app.use('/recordings', httpRouter())
+function httpRouter() {
+  const router = express.Router();
+  const token = config.recordings.httpToken;
+  if (!config.recordings.httpEnabled) return router;
+  if (!token) {
+    log.warn('RECORDINGS_HTTP_ENABLED is set but RECORDINGS_HTTP_TOKEN is not; recordings stay private');
+    return router;
+  }
+
+  router.use(requireBearerToken(token, 'recordings request'));
+  router.use(express.static(RECORDINGS_DIR, {
+    index: false,
+    dotfiles: 'deny',
+    setHeaders: (res, filePath) => {
+      if (filePath.endsWith('.wav')) res.set('Content-Type', 'audio/wav');
+    }
+  }));
+  return router;
+}
+
+module.exports = {
+  RECORDINGS_DIR,
+  save,
+  listRecordings,
+  sweep,
+  startSweeper,
+  httpRouter,
+};
@@ -0,0 +1,229 @@
+// services/replay.js
+//
+// Offline replay of a call through a real AudioProcessor, for debugging
+// segmentation without a phone. Input is a media-stream capture (NDJSON from
+// services/mediaCapture.js) or a plain recording (.wav, or raw 8 kHz μ-law).
+// Outbound messages go to a fake socket that plays the bot's audio on the
+// stream clock and echoes marks back the way Twilio does, so barge-in and
+// turn-taking behave as on a call.
+//
+// Pacing: speed 1 replays in real time, 2 twice as fast, and so on, with
+// frames arriving whether or not the previous one is done (as on a call).
+// speed 0 runs as fast as possible: each frame is processed before the
+// next, and after an utterance is cut the stream waits for the answer to be
+// generated, as if the backends took no time at all.
+//
+// Every timeline entry carries `atMs`, the stream time in milliseconds.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const AudioProcessor = require('./audioProcessor');
+const audioTuning = require('./audioTuning');
+const audioFormat = require('../utils/audioFormat');
+const FakeTwilioSocket = require('./fakeTwilioSocket');
+
+const FRAME_MS = 20;
+const SILENCE = 0xff; // μ-law zero
+
+// { callSid, streamSid, params, frames: [{ atMs, mulaw }], dtmf: [{ atMs, digit }] }
+function loadCapture(filePath) {
+  const input = { callSid: null, streamSid: null, params: {}, frames: [], dtmf: [] };
+  let firstTimestamp = null;
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${filePath}:${index + 1}: not JSON`);
+    }
+    const { dir, message } = entry;
+    if (dir !== 'in' || !message) return;
+    switch (message.event) {
+      case 'start':
+        input.callSid = message.start.callSid;
+        input.streamSid = message.start.streamSid;
+        input.params = { ...message.start.customParameters };
+        delete input.params.streamToken;
+        break;
+      case 'media': {
+        if (message.media.track && message.media.track !== 'inbound') break;
+        // Twilio's timestamp is ms since the stream started; fall back to frame order
+        const timestamp = Number(message.media.timestamp);
+        const atMs = Number.isFinite(timestamp)
+          ? timestamp - (firstTimestamp === null ? (firstTimestamp = timestamp) : firstTimestamp)
+          : input.frames.length * FRAME_MS;
+        input.frames.push({ atMs, mulaw: Buffer.from(message.media.payload, 'base64') });
+        break;
+      }
+      case 'dtmf': {
+        const last = input.frames[input.frames.length - 1];
+        input.dtmf.push({ atMs: last ? last.atMs : 0, digit: message.dtmf.digit });
+        break;
+      }
+    }
+  });
+  return input;
+}
+
+function loadRecording(filePath) {
+  const frames = audioFormat.toFrames(audioFormat.readTelephoneAudio(filePath))
+    .map((mulaw, index) => ({ atMs: index * FRAME_MS, mulaw }));
+  const name = path.basename(filePath, path.extname(filePath));
+  return { callSid: `replay-${name}`, streamSid: `replay-${name}`, params: {}, frames, dtmf: [] };
+}
+
+function loadInput(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return extension === '.ndjson' || extension === '.jsonl' ? loadCapture(filePath) : loadRecording(filePath);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves once no answer is being generated or queued for synthesis
+async function waitForIdle(processor, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const turn = processor.currentTurn;
+    if (!processor.isProcessingQuery && (!turn || turn.ragDone) && processor.ttsQueue.length === 0) return;
+    await sleep(5);
+  }
+}
+
+// Replays `input` (a path or the result of loadInput). Options:
+//   speed      1 = real time (default), 0 = as fast as possible
+//   tailMs     silence appended so the last utterance can end (default 1000)
+//   providers  { stt, rag, tts } provider names; defaults come from config
+//   vadStrategy, tuning   override what the capture's <Stream> parameters say
+//   allFrames  log every VAD decision, not only changes
+//   onEvent    called with each timeline entry as it happens
+//   idleTimeoutMs  longest wait for an answer when speed is 0 (default 15000)
+// Resolves to { timeline, outbound, callRecord, callerAudio, botAudio } where the
+// audio is 8 kHz μ-law on the stream clock.
+async function replay(input, options = {}) {
+  // Fail before any provider tries to connect to a URL that is not set
+  const missing = config.providerErrors(config, { ...config.providers, ...options.providers });
+  if (missing.length > 0) throw new config.ConfigError(missing);
+  if (typeof input === 'string') input = loadInput(input);
+  const speed = options.speed !== undefined ? options.speed : 1;
+  const tailMs = options.tailMs !== undefined ? options.tailMs : 1000;
+  const idleTimeoutMs = options.idleTimeoutMs || 15000;
+
+  const frames = [...input.frames];
+  const lastMs = frames.length > 0 ? frames[frames.length - 1].atMs : -FRAME_MS;
+  for (let atMs = lastMs + FRAME_MS; atMs <= lastMs + tailMs; atMs += FRAME_MS) {
+    frames.push({ atMs, mulaw: Buffer.alloc(audioFormat.FRAME_BYTES, SILENCE) });
+  }
+
+  let nowMs = 0;
+  const timeline = [];
+  const outbound = [];
+  const add = (event, fields = {}) => {
+    const entry = { atMs: nowMs, event, ...fields };
+    timeline.push(entry);
+    if (options.onEvent) options.onEvent(entry);
+  };
+  input.dtmf.forEach(({ atMs, digit }) => timeline.push({ atMs, event: 'dtmf', digit }));
+
+  let processor = null;
+  const socket = new FakeTwilioSocket(() => nowMs, (message, info) => {
+    outbound.push({ atMs: nowMs, message });
+    if (message.event === 'media') add('botAudio', info);
+    if (message.event === 'clear') add('clear');
+    if (message.event === 'mark') {
+      const pending = processor && processor.pendingMarks.get(message.mark.name);
+      add('mark', { name: message.mark.name, sentence: pending ? pending.sentence : undefined });
+    }
+  });
+
+  // AudioProcessor looks its session up here
+  global.activeSessions = global.activeSessions || new Map();
+  processor = new AudioProcessor(input.callSid || 'replay', socket, input.streamSid || 'replay', {
+    providers: options.providers,
+    vadStrategy: options.vadStrategy || input.params.vadStrategy,
+    callMetadata: { replay: true, customParameters: input.params },
+  });
+  // Replays leave no utterance recordings behind
+  processor.saveRecording = () => Promise.resolve(null);
+
+  const { tuning, errors } = audioTuning.parseTuning({ ...input.params, ...options.tuning });
+  if (errors.length > 0) add('tuningIgnored', { errors });
+  if (Object.keys(tuning).length > 0) processor.adjustAudioParameters(tuning);
+
+  let lastVoiced = null;
+  processor.on('vad', ({ voiced, botSpeaking }) => {
+    if (options.allFrames || voiced !== lastVoiced) add('vad', { voiced, botSpeaking });
+    lastVoiced = voiced;
+  });
+  let cut = false;
+  processor.on('speechStart', () => add('speechStart'));
+  processor.on('speechEnd', (info) => {
+    cut = true;
+    add('speechEnd', info);
+  });
+  processor.on('utteranceSkipped', (info) => add('utteranceSkipped', info));
+  processor.on('transcript', (info) => add('transcript', info));
+  processor.on('bargeIn', () => add('bargeIn'));
+
+  const deliverMarks = () => {
+    for (const mark of socket.takeDueMarks(nowMs)) {
+      add('markPlayed', { name: mark.name });
+      processor.handleMark(mark.name);
+    }
+  };
+
+  const startedAt = Date.now();
+  const inFlight = [];
+  for (const frame of frames) {
+    if (speed > 0) {
+      const wait = startedAt + frame.atMs / speed - Date.now();
+      if (wait > 0) await sleep(wait);
+    }
+    nowMs = frame.atMs;
+    deliverMarks();
+    const payload = frame.mulaw.toString('base64');
+    if (speed > 0) {
+      // Like socket messages: the next frame does not wait for this one
+      inFlight.push(processor.processAudio(frame.mulaw, payload));
+    } else {
+      await processor.processAudio(frame.mulaw, payload);
+      if (cut) await waitForIdle(processor, idleTimeoutMs);
+      cut = false;
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  }
+  await Promise.all(inFlight);
+
+  // Let the last answer finish, then play out whatever is still queued
+  await waitForIdle(processor, idleTimeoutMs);
+  nowMs = Math.max(nowMs, socket.playbackEndMs);
+  deliverMarks();
+  add('end');
+  processor.cleanup();
+  processor.callRecord.finish('replay');
+  socket.close();
+
+  const endMs = Math.max(nowMs, lastMs + tailMs + FRAME_MS);
+  const callerAudio = Buffer.alloc(Math.ceil(endMs * 8), SILENCE);
+  input.frames.forEach(({ atMs, mulaw }) => mulaw.copy(callerAudio, atMs * 8));
+  const botAudio = Buffer.alloc(callerAudio.length, SILENCE);
+  socket.botAudio.forEach(({ atMs, mulaw }) => mulaw.copy(botAudio, Math.round(atMs * 8)));
+
+  timeline.sort((a, b) => a.atMs - b.atMs);
+  return { timeline, outbound, callRecord: processor.callRecord.toJSON(), callerAudio, botAudio };
+}
+
+// Two-channel 16-bit WAV: caller left, bot right
+function toStereoWav({ callerAudio, botAudio }) {
+  return audioFormat.encodeStereoWav(callerAudio, botAudio);
+}
+
+module.exports = {
+  loadCapture,
+  loadRecording,
+  loadInput,
+  replay,
+  toStereoWav,
+};
@@ -1,6 +1,16 @@
 // services/sessionManager.js
+const ConversationHistory = require('./conversationHistory');
+const metrics = require('./metrics');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'sessionManager' });
 
 const SESSION_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+// How long a call's history waits for its stream to reconnect
+const HELD_HISTORY_MS = 60 * 1000;
+
+// callSid -> { history, timer } for calls whose stream is being replaced
+const heldHistories = new Map();
 
 // Initialize session map if not already done
 if (!global.activeSessions) {
@@ -16,10 +26,13 @@ function createSession(callSid, streamSid, ws, processor) {
     processor,
     isProcessing: false,
     createdAt: Date.now(),
+    // The processor appends to this; the session exposes it
+    history: processor?.history || new ConversationHistory(),
   };
 
   global.activeSessions.set(callSid, session);
-  console.log(`[📞] Session created: ${callSid}`);
+  metrics.callStarted();
+  log.info('Session created', { callSid, streamSid });
   return session;
 }
 
@@ -33,13 +46,55 @@ function hasSession(callSid) {
   return global.activeSessions.has(callSid);
 }
 
+// Conversation so far: running summary plus the recent turns
+function getHistory(callSid) {
+  const session = global.activeSessions.get(callSid);
+  return session ? session.history.toJSON() : null;
+}
+
+// Keep the conversation while the call's stream is replaced by a new one
+function holdHistory(callSid, history) {
+  releaseHeldHistory(callSid);
+  const timer = setTimeout(() => heldHistories.delete(callSid), HELD_HISTORY_MS);
+  timer.unref();
+  heldHistories.set(callSid, { history, timer });
+}
+
+// The held history for a reconnecting stream, or undefined
+function takeHeldHistory(callSid) {
+  const held = releaseHeldHistory(callSid);
+  return held ? held.history : undefined;
+}
+
+function releaseHeldHistory(callSid) {
+  const held = heldHistories.get(callSid);
+  if (!held) return null;
+  clearTimeout(held.timer);
+  heldHistories.delete(callSid);
+  return held;
+}
+
+// Summary of every active call for the admin API
+function listSessions() {
+  const now = Date.now();
+  return [...global.activeSessions.values()].map((session) => ({
+    callSid: session.callSid,
+    streamSid: session.streamSid,
+    state: session.processor?.getState?.() || 'unknown',
+    createdAt: new Date(session.createdAt).toISOString(),
+    durationMs: now - session.createdAt,
+    turns: session.processor?.turnId || 0,
+  }));
+}
+
 // Delete a session
 function deleteSession(callSid) {
   const session = global.activeSessions.get(callSid);
   if (session) {
     session.processor?.cleanup?.();
     global.activeSessions.delete(callSid);
-    console.log(`[🧹] Session deleted: ${callSid}`);
+    metrics.callEnded();
+    log.info('Session deleted', { callSid, durationMs: Date.now() - session.createdAt });
   }
 }
 
@@ -49,7 +104,7 @@ function startAutoCleanup(intervalMs = 60000) {
     const now = Date.now();
     for (const [callSid, session] of global.activeSessions.entries()) {
       if (now - session.createdAt > SESSION_TIMEOUT_MS) {
-        console.log(`[⏱️] Auto-expiring session: ${callSid}`);
+        log.warn('Auto-expiring session', { callSid });
         deleteSession(callSid);
       }
     }
@@ -60,6 +115,10 @@ module.exports = {
   createSession,
   getSession,
   hasSession,
+  listSessions,
   deleteSession,
+  getHistory,
+  holdHistory,
+  takeHeldHistory,
   startAutoCleanup,
 };
@@ -0,0 +1,75 @@
+// services/standins/common.js
+//
+// Shared pieces of the stand-in servers: scenario loading, a seeded random
+// source so latency jitter and injected errors repeat run after run, and the
+// fault plan each server consults per request.
+
+const fs = require('fs');
+
+// mulberry32: tiny, fast and good enough for test traffic
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function readScenario(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.ya?ml$/i.test(file)) return require('js-yaml').load(text) || {};
+  return JSON.parse(text);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// latencyMs plus up to jitterMs either way, never negative
+function latency(random, latencyMs = 0, jitterMs = 0) {
+  return Math.max(0, latencyMs + (random() * 2 - 1) * jitterMs);
+}
+
+// errors: { mode, on: [request numbers, 1-based], rate: 0..1 }. Returns the
+// mode to inject for the next request, or null to behave.
+function faultPlan(errors = {}, random, modes) {
+  const mode = errors.mode || modes[0];
+  if (!modes.includes(mode)) {
+    throw new Error(`Unknown error mode "${mode}" (expected ${modes.join(', ')})`);
+  }
+  const on = new Set(errors.on || []);
+  const rate = errors.rate || 0;
+  let requests = 0;
+  return () => {
+    requests++;
+    // Draw every time so adding `on` entries does not shift later draws
+    const roll = random();
+    return on.has(requests) || roll < rate ? mode : null;
+  };
+}
+
+// Resolves once `server` listens on `port` (0 picks a free one)
+function listen(server, port, host) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server.address().port);
+    });
+  });
+}
+
+function closeServer(server) {
+  return new Promise((resolve) => server.close(() => resolve()));
+}
+
+module.exports = {
+  seededRandom,
+  readScenario,
+  sleep,
+  latency,
+  faultPlan,
+  listen,
+  closeServer,
+};
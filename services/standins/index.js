@@ -0,0 +1,56 @@
+// services/standins/index.js
+//
+// Local stand-ins for the STT, RAG and TTS backends, speaking the same
+// protocols as the live services so the whole pipeline runs offline and
+// deterministically. A scenario (see config/standins.example.yaml) sets
+// ports, latency, scripted responses and injected errors per service;
+// each service draws from its own random stream seeded from `seed`, so a
+// scenario behaves the same on every run.
+//
+// Only batch STT is emulated; leave TRANSCRIBE_STREAM_URL unset.
+
+const logger = require('../../utils/logger');
+const { seededRandom } = require('./common');
+const { startSttServer } = require('./sttServer');
+const { startRagServer } = require('./ragServer');
+const { startTtsServer } = require('./ttsServer');
+
+const SERVICES = {
+  stt: { start: startSttServer, env: 'TRANSCRIBE_API_URL' },
+  rag: { start: startRagServer, env: 'RAG_WEBSOCKET_URL' },
+  tts: { start: startTtsServer, env: 'TTS_WEBSOCKET_URL' },
+};
+
+// Resolves to { urls: { stt, rag, tts }, env: { TRANSCRIBE_API_URL, ... }, close() }
+async function startStandins(scenario = {}, { only = Object.keys(SERVICES) } = {}) {
+  const seed = scenario.seed !== undefined ? scenario.seed : 1;
+  const started = [];
+  const urls = {};
+  const env = {};
+  try {
+    for (const [index, name] of Object.keys(SERVICES).entries()) {
+      if (!only.includes(name)) continue;
+      const { start, env: variable } = SERVICES[name];
+      const instance = await start(scenario[name] || {}, {
+        random: seededRandom(seed + index),
+        log: logger.child({ component: 'standin', service: name }),
+      });
+      started.push(instance);
+      urls[name] = instance.url;
+      env[variable] = instance.url;
+    }
+  } catch (error) {
+    await Promise.all(started.map((instance) => instance.close()));
+    throw error;
+  }
+  return {
+    urls,
+    env,
+    close: () => Promise.all(started.map((instance) => instance.close())),
+  };
+}
+
+module.exports = {
+  SERVICES,
+  startStandins,
+};
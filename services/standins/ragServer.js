@@ -0,0 +1,94 @@
+// services/standins/ragServer.js
+//
+// RAG stand-in (RAG_WEBSOCKET_URL). Speaks RAGService's protocol: prompts
+// arrive as { requestId, prompt, history, summary }, the answer streams back
+// as { requestId, sentence } messages ending with sentence "COMPLETED", and
+// { requestId, cancel: true } stops an answer in flight.
+//
+// The answer is the first scenario response whose `match` (a case-insensitive
+// regular expression) matches the prompt, else `default`: a list of
+// sentences, or "echo" to repeat the prompt back.
+//
+// Error modes: close (socket closed after the first sentence), stall (the
+// answer stops after the first sentence), garbage (a non-JSON message).
+
+const http = require('http');
+const WebSocket = require('ws');
+const { latency, faultPlan, listen, closeServer, sleep } = require('./common');
+
+const ERROR_MODES = ['close', 'stall', 'garbage'];
+
+function answerFor(prompt, options) {
+  for (const response of options.responses || []) {
+    if (new RegExp(response.match, 'i').test(prompt)) return response.sentences;
+  }
+  const fallback = options.default || 'echo';
+  return fallback === 'echo' ? [`You said: ${prompt}`] : fallback;
+}
+
+async function startRagServer(options = {}, { random, log }) {
+  const nextFault = faultPlan(options.errors, random, ERROR_MODES);
+  const server = http.createServer();
+  const wss = new WebSocket.Server({ server });
+
+  wss.on('connection', (ws) => {
+    const cancelled = new Set();
+    const send = (message) => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+    };
+
+    const answer = async (requestId, prompt) => {
+      const fault = nextFault();
+      const sentences = answerFor(prompt, options);
+      log.info('RAG prompt', { requestId, prompt, sentences: sentences.length, fault });
+
+      await sleep(latency(random, options.firstSentenceMs, options.jitterMs));
+      for (let i = 0; i < sentences.length; i++) {
+        if (cancelled.has(requestId) || ws.readyState !== WebSocket.OPEN) return;
+        if (i > 0) {
+          if (fault === 'close') return ws.close(1011, 'injected failure');
+          if (fault === 'stall') return;
+          await sleep(latency(random, options.sentenceIntervalMs, options.jitterMs));
+          if (cancelled.has(requestId)) return;
+        }
+        if (fault === 'garbage') return ws.send('{"sentence": ');
+        send({ requestId, sentence: sentences[i] });
+      }
+      if (fault === 'close') return ws.close(1011, 'injected failure');
+      if (fault === 'stall') return;
+      send({ requestId, sentence: 'COMPLETED' });
+    };
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        log.warn('Ignoring non-JSON RAG message');
+        return;
+      }
+      if (message.cancel) {
+        cancelled.add(message.requestId);
+        return;
+      }
+      answer(message.requestId, String(message.prompt || '')).catch((error) =>
+        log.error('RAG stand-in failed', { error })
+      );
+    });
+  });
+
+  const port = await listen(server, options.port !== undefined ? options.port : 8100, options.host);
+  return {
+    url: `ws://localhost:${port}/`,
+    close: () => {
+      wss.clients.forEach((client) => client.terminate());
+      wss.close();
+      return closeServer(server);
+    },
+  };
+}
+
+module.exports = {
+  ERROR_MODES,
+  startRagServer,
+};
@@ -0,0 +1,64 @@
+// services/standins/sttServer.js
+//
+// Batch STT stand-in (TRANSCRIBE_API_URL): accepts the multipart WAV upload
+// TranscriptionService sends (field "file") and answers { transcription }.
+// Transcripts come from the scenario in order, starting over at the end.
+//
+// Error modes: status (HTTP errors.status, default 500), stall (never
+// answers, so the client times out), garbage (200 with a non-JSON body).
+
+const http = require('http');
+const express = require('express');
+const multer = require('multer');
+const config = require('../../config');
+const { latency, faultPlan, listen, closeServer, sleep } = require('./common');
+
+const ERROR_MODES = ['status', 'stall', 'garbage'];
+
+async function startSttServer(options = {}, { random, log }) {
+  const transcripts = options.transcripts && options.transcripts.length > 0
+    ? options.transcripts
+    : [config.mock.transcript];
+  const nextFault = faultPlan(options.errors, random, ERROR_MODES);
+  const route = options.path || '/transcribe';
+  let requests = 0;
+
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+  app.post(route, upload.single('file'), async (req, res) => {
+    const request = ++requests;
+    if (!req.file) {
+      res.status(400).json({ error: 'expected a multipart upload with a "file" field' });
+      return;
+    }
+    const fault = nextFault();
+    await sleep(latency(random, options.latencyMs, options.jitterMs));
+    log.info('Transcription request', { request, bytes: req.file.size, fault });
+
+    if (fault === 'stall') return; // Left open until the client gives up
+    if (fault === 'status') {
+      res.status(options.errors.status || 500).json({ error: 'injected failure' });
+      return;
+    }
+    if (fault === 'garbage') {
+      res.type('text/plain').send('<html>upstream error</html>');
+      return;
+    }
+    res.json({ transcription: transcripts[(request - 1) % transcripts.length] });
+  });
+
+  const server = http.createServer(app);
+  const port = await listen(server, options.port !== undefined ? options.port : 8000, options.host);
+  return {
+    url: `http://localhost:${port}${route}`,
+    close: () => {
+      server.closeAllConnections();
+      return closeServer(server);
+    },
+  };
+}
+
+module.exports = {
+  ERROR_MODES,
+  startSttServer,
+};
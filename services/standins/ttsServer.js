@@ -0,0 +1,57 @@
+// services/standins/ttsServer.js
+//
+// TTS stand-in (TTS_WEBSOCKET_URL). Like the real service, each sentence
+// gets its own socket: the client sends the sentence as a JSON string and
+// receives { ulaw } (base64 8 kHz μ-law), then closes. The audio is a tone
+// whose length follows the sentence (msPerCharacter), as with the mock
+// provider.
+//
+// Error modes: close (socket closed with no audio), stall (never answers),
+// garbage (a non-JSON message).
+
+const http = require('http');
+const WebSocket = require('ws');
+const { MockTTSService } = require('../providers/mockProviders');
+const { latency, faultPlan, listen, closeServer, sleep } = require('./common');
+
+const ERROR_MODES = ['close', 'stall', 'garbage'];
+
+async function startTtsServer(options = {}, { random, log }) {
+  const nextFault = faultPlan(options.errors, random, ERROR_MODES);
+  const voice = new MockTTSService({ msPerCharacter: options.msPerCharacter, frequency: options.frequency });
+  const server = http.createServer();
+  const wss = new WebSocket.Server({ server });
+
+  wss.on('connection', (ws) => {
+    ws.on('message', async (data) => {
+      let sentence;
+      try {
+        sentence = JSON.parse(data.toString());
+      } catch (error) {
+        sentence = data.toString();
+      }
+      const fault = nextFault();
+      log.info('TTS request', { sentence, fault });
+      await sleep(latency(random, options.latencyMs, options.jitterMs));
+      if (ws.readyState !== WebSocket.OPEN || fault === 'stall') return;
+      if (fault === 'close') return ws.close(1011, 'injected failure');
+      if (fault === 'garbage') return ws.send('not json');
+      ws.send(JSON.stringify({ ulaw: await voice.synthesize(String(sentence)) }));
+    });
+  });
+
+  const port = await listen(server, options.port !== undefined ? options.port : 8250, options.host);
+  return {
+    url: `ws://localhost:${port}/`,
+    close: () => {
+      wss.clients.forEach((client) => client.terminate());
+      wss.close();
+      return closeServer(server);
+    },
+  };
+}
+
+module.exports = {
+  ERROR_MODES,
+  startTtsServer,
+};
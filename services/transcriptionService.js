@@ -1,24 +1,154 @@
 const axios = require('axios');
 const FormData = require('form-data');
+const WebSocket = require('ws');
+const EventEmitter = require('events');
+const config = require('../config');
+const resilience = require('../config/resilience');
+const { withRetry } = require('../utils/retry');
+const logger = require('../utils/logger');
 
-class TranscriptionService {
-  constructor() {
-    this.apiUrl = process.env.TRANSCRIBE_API_URL;
+// Two modes:
+//  - batch (default): POST the finished utterance WAV to TRANSCRIBE_API_URL
+//  - streaming: when TRANSCRIBE_STREAM_URL is set, keep one WebSocket per call,
+//    push raw 8 kHz μ-law frames as they arrive and receive
+//    { type: 'partial' | 'final', transcription } messages back.
+//    Batch stays as the fallback whenever the stream is unavailable.
+class TranscriptionService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.apiUrl = options.apiUrl || config.stt.apiUrl;
+    this.streamUrl = options.streamUrl || config.stt.streamUrl;
+    this.streamingEnabled = Boolean(this.streamUrl);
+    this.finalTimeoutMs = config.stt.finalTimeoutMs; // How long to wait for a streaming final before falling back
+    this.timeoutMs = options.timeoutMs || resilience.stt.timeoutMs;
+    this.retries = options.retries !== undefined ? options.retries : resilience.stt.retries;
+    this.deadlineMs = options.deadlineMs || resilience.stt.deadlineMs;
+    this.reconnectDelayMs = config.stt.reconnectDelayMs;
+    this.log = options.logger || logger.child({ component: 'stt' });
+
+    this.stream = null;
+    this.streamStopped = true;
+    this.lastFinal = null;
+  }
+
+  // Settles within deadlineMs; emits 'retrying' (attempt, error) before each
+  // batch retry so the caller can tell the user it is still working
+  async transcribe(wavBuffer, since = 0) {
+    const deadlineAt = Date.now() + this.deadlineMs;
+    if (this.isStreamOpen()) {
+      const text = await this.waitForFinal(since, Math.min(this.finalTimeoutMs, this.deadlineMs));
+      if (text !== null) return text;
+      this.log.warn('Streaming STT gave no final in time, falling back to batch');
+    }
+    return this.transcribeBatch(wavBuffer, deadlineAt);
   }
 
-  async transcribe(wavBuffer) {
+  // Throws once every retry has failed so the caller can play a fallback
+  async transcribeBatch(wavBuffer, deadlineAt = 0) {
     try {
-     const formData = new FormData ();
-    formData.append ('file', wavBuffer, {filename: 'converted-audio.wav',contentType: 'audio/wav'});
-    const uploadResponse = await axios.post (this.apiUrl, formData,{
-        headers: formData.getHeaders (),
+      return await withRetry(async () => {
+        const formData = new FormData ();
+        formData.append ('file', wavBuffer, {filename: 'converted-audio.wav',contentType: 'audio/wav'});
+        const uploadResponse = await axios.post (this.apiUrl, formData,{
+          headers: formData.getHeaders (),
+          timeout: this.timeoutMs,
+        });
+        return uploadResponse.data.transcription; //|| 'Sorry! I did not receive any input, is there anything else?'; // after 4 sec
+      }, {
+        retries: this.retries,
+        timeoutMs: this.timeoutMs,
+        backoffMs: resilience.backoffMs,
+        deadlineAt,
+        onRetry: (attempt, error) => this.emit('retrying', attempt, error),
+        label: 'Transcription',
+        log: this.log,
       });
-      return uploadResponse.data.transcription; //|| 'Sorry! I did not receive any input, is there anything else?'; // after 4 sec
     } catch (error) {
-      console.error('Transcription error:', error.message);
-      return null;
+      this.log.error('Transcription error', { error: error.message });
+      throw error;
+    }
+  }
+
+  startStream(callSid) {
+    if (!this.streamingEnabled || this.stream) return;
+    this.streamStopped = false;
+
+    const ws = new WebSocket(this.streamUrl);
+    this.stream = ws;
+
+    ws.on('open', () => {
+      ws.send(JSON.stringify({ event: 'start', callSid, encoding: 'mulaw', sampleRate: 8000 }));
+      this.log.info('Streaming STT connected');
+    });
+
+    ws.on('message', (data) => {
+      try {
+        const message = JSON.parse(data.toString());
+        const text = (message.transcription || '').trim();
+        if (message.type === 'partial') {
+          this.emit('partial', text);
+        } else if (message.type === 'final' && text) {
+          this.lastFinal = { text, at: Date.now() };
+          this.emit('final', text);
+        }
+      } catch (error) {
+        this.log.error('Streaming STT message parsing error', { error });
+      }
+    });
+
+    ws.on('error', (error) => {
+      this.log.error('Streaming STT WebSocket error', { error: error.message });
+    });
+
+    ws.on('close', () => {
+      if (this.stream === ws) this.stream = null;
+      if (!this.streamStopped) {
+        // Batch mode covers the gap until the stream is back
+        setTimeout(() => {
+          if (!this.streamStopped) this.startStream(callSid);
+        }, this.reconnectDelayMs);
+      }
+    });
+  }
+
+  isStreamOpen() {
+    return Boolean(this.stream && this.stream.readyState === WebSocket.OPEN);
+  }
+
+  sendAudio(mulawBuffer) {
+    if (this.isStreamOpen()) this.stream.send(mulawBuffer);
+  }
+
+  // Resolves with a final received after `since`, or null on timeout
+  waitForFinal(since, timeoutMs) {
+    if (this.lastFinal && this.lastFinal.at >= since) {
+      const { text } = this.lastFinal;
+      this.lastFinal = null;
+      return Promise.resolve(text);
+    }
+    return new Promise((resolve) => {
+      const onFinal = (text) => {
+        clearTimeout(timer);
+        resolve(text);
+      };
+      const timer = setTimeout(() => {
+        this.removeListener('final', onFinal);
+        resolve(null);
+      }, timeoutMs);
+      this.once('final', onFinal);
+    });
+  }
+
+  stopStream() {
+    this.streamStopped = true;
+    if (this.stream) {
+      const ws = this.stream;
+      this.stream = null;
+      ws.removeAllListeners();
+      ws.on('error', () => {});
+      ws.terminate();
     }
   }
 }
 
-module.exports = TranscriptionService;
\ No newline at end of file
+module.exports = TranscriptionService;
@@ -0,0 +1,106 @@
+const EventEmitter = require('events');
+const config = require('../config');
+const resilience = require('../config/resilience');
+const { withRetry } = require('../utils/retry');
+const logger = require('../utils/logger');
+
+// Per-call sentence queue: synthesizes a few sentences ahead in parallel but
+// always emits their audio in the order the sentences were queued.
+class TTSQueue extends EventEmitter {
+  constructor(ttsService, options = {}) {
+    super();
+    this.ttsService = ttsService;
+    this.maxParallel = options.maxParallel || config.tts.maxParallel;
+    this.timeoutMs = options.timeoutMs || resilience.tts.timeoutMs;
+    this.retries = options.retries !== undefined ? options.retries : resilience.tts.retries;
+    this.items = [];
+    this.inFlight = 0;
+    this.generation = 0;
+    this.log = options.logger || logger.child({ component: 'ttsQueue' });
+  }
+
+  enqueue(sentence, meta = {}) {
+    this.items.push({ sentence, meta, status: 'queued', audio: null });
+    this.pump();
+  }
+
+  pump() {
+    // Start synthesis for the oldest queued sentences, up to maxParallel
+    for (const item of this.items) {
+      if (this.inFlight >= this.maxParallel) break;
+      if (item.status === 'queued') this.start(item);
+    }
+    this.deliver();
+  }
+
+  start(item) {
+    const generation = this.generation;
+    item.status = 'synthesizing';
+    this.inFlight++;
+
+    // Skip remaining attempts once the queue has been cancelled
+    const synthesize = () =>
+      generation === this.generation ? this.ttsService.synthesize(item.sentence) : null;
+
+    withRetry(synthesize, {
+      retries: this.retries,
+      timeoutMs: this.timeoutMs,
+      backoffMs: resilience.backoffMs,
+      label: 'TTS',
+      log: this.log,
+    })
+      .then((audio) => {
+        item.status = 'ready';
+        item.audio = audio;
+      })
+      .catch((error) => {
+        item.status = 'failed';
+        item.error = error;
+        if (generation === this.generation) {
+          this.log.error('TTS failed', { ...item.meta, sentence: item.sentence, error: error.message });
+        }
+      })
+      .finally(() => {
+        if (generation !== this.generation) return; // Cancelled meanwhile
+        this.inFlight--;
+        this.pump();
+      });
+  }
+
+  deliver() {
+    // Release finished items strictly in queue order; a listener may cancel
+    const generation = this.generation;
+    while (this.items.length > 0) {
+      if (generation !== this.generation) return;
+      const head = this.items[0];
+      if (head.status === 'ready') {
+        this.items.shift();
+        this.emit('audio', head.audio, head);
+      } else if (head.status === 'failed') {
+        this.items.shift();
+        this.emit('failed', head, head.error);
+      } else {
+        return;
+      }
+    }
+    if (generation === this.generation) this.emit('drain');
+  }
+
+  isBusy() {
+    return this.items.length > 0;
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  // Drop everything still queued or being synthesized
+  cancel() {
+    this.generation++;
+    this.items = [];
+    this.inFlight = 0;
+    this.ttsService.cancel();
+  }
+}
+
+module.exports = TTSQueue;
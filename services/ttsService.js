@@ -1,38 +1,67 @@
 const WebSocket = require('ws');
 const EventEmitter = require('events');
+const config = require('../config');
+const logger = require('../utils/logger');
 
 class TTSService extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
-    this.wsUrl = 'ws://164.52.194.17:8250/TranscribeStreaming';
+    this.wsUrl = options.wsUrl || config.tts.wsUrl;
+    this.sockets = new Map();
+    this.log = options.logger || logger.child({ component: 'tts' });
   }
 
+  // Resolves with the base64 μ-law audio for one sentence
   synthesize(sentence) {
-    const ws = new WebSocket(this.wsUrl);
-    ws.on('open', () => {
-      ws.send(JSON.stringify(sentence));
-    });
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.wsUrl);
+      let settled = false;
+      const finish = (error, audio) => {
+        if (settled) return;
+        settled = true;
+        this.sockets.delete(ws);
+        if (error) reject(error);
+        else resolve(audio);
+      };
+      this.sockets.set(ws, finish);
+
+      ws.on('open', () => {
+        ws.send(JSON.stringify(sentence));
+      });
 
-    ws.on('message', (data) => {
-      try {
-        const audioChunk = JSON.parse(data.toString());
-        if (audioChunk && audioChunk.ulaw) {
-         this.emit('buffer', audioChunk.ulaw);
-         ws.close();
+      ws.on('message', (data) => {
+        try {
+          const audioChunk = JSON.parse(data.toString());
+          if (audioChunk && audioChunk.ulaw) {
+            finish(null, audioChunk.ulaw);
+            ws.close();
+          }
+        } catch (error) {
+          this.log.error('TTS message parsing error', { error });
         }
-      } catch (error) {
-        console.error('TTS message parsing error:', error);
-      }
-    });
+      });
 
-    ws.on('close', () => {
-     
-    });
+      ws.on('close', () => {
+        finish(new Error('TTS connection closed before audio was received'));
+      });
 
-    ws.on('error', (error) => {
-      console.error('TTS WebSocket error:', error);
+      ws.on('error', (error) => {
+        this.log.error('TTS WebSocket error', { error: error.message });
+        finish(error);
+      });
     });
   }
+
+  // Abort every pending synthesis request (used on barge-in)
+  cancel() {
+    for (const [ws, finish] of this.sockets) {
+      ws.removeAllListeners();
+      ws.on('error', () => {});
+      ws.terminate();
+      finish(new Error('TTS request cancelled'));
+    }
+    this.sockets.clear();
+  }
 }
 
 module.exports = TTSService;
@@ -0,0 +1,136 @@
+// services/twilioAuth.js
+//
+// Keeps strangers from driving our STT/RAG/TTS spend:
+//  - webhook requests must carry a valid X-Twilio-Signature
+//  - the media stream must present a signed, single-use token that
+//    /voice/incoming-call put into the <Stream> custom parameters
+// Set TWILIO_VALIDATE_SIGNATURES=false to turn both off for local development.
+const crypto = require('crypto');
+const proxyaddr = require('proxy-addr');
+const twilio = require('twilio');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'twilioAuth' });
+
+const TOKEN_TTL_MS = config.twilio.streamTokenTtlMs;
+
+// Falls back to a per-process secret, which is fine for a single instance
+const tokenSecret = config.twilio.streamTokenSecret ||
+  config.twilio.authToken ||
+  crypto.randomBytes(32).toString('hex');
+
+// nonce -> expiry of tokens that have been issued but not used yet
+const issuedTokens = new Map();
+
+function isEnabled() {
+  return config.twilio.validateSignatures;
+}
+
+// server.trustProxy in the form Express's 'trust proxy' setting takes
+function trustProxySetting(value = config.server.trustProxy) {
+  if (!value) return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+function compileTrust(setting) {
+  if (setting === true) return () => true;
+  if (typeof setting === 'number') return (address, hop) => hop < setting;
+  if (!setting) return () => false;
+  return proxyaddr.compile(setting.split(',').map((entry) => entry.trim()));
+}
+
+const trustProxy = compileTrust(trustProxySetting());
+
+// X-Forwarded-For only counts when it was added by a trusted proxy. Works on
+// Express requests and on the raw request of a WebSocket upgrade alike.
+function clientIp(req) {
+  if (!req.socket?.remoteAddress) return 'unknown';
+  return proxyaddr(req, trustProxy);
+}
+
+// The URL Twilio signed: the public base URL when we sit behind a tunnel
+// or proxy, otherwise what this request says about itself
+function publicUrl(req) {
+  if (config.server.publicUrl) {
+    return `${config.server.publicUrl.replace(/\/$/, '')}${req.originalUrl}`;
+  }
+  const proto = (req.headers['x-forwarded-proto'] || req.protocol).split(',')[0].trim();
+  return `${proto}://${req.get('host')}${req.originalUrl}`;
+}
+
+// Express middleware for Twilio webhook routes
+function validateWebhook(req, res, next) {
+  if (!isEnabled()) return next();
+
+  const authToken = config.twilio.authToken;
+  const signature = req.get('X-Twilio-Signature');
+  const url = publicUrl(req);
+  const valid = Boolean(authToken && signature) &&
+    twilio.validateRequest(authToken, signature, url, req.body || {});
+
+  if (!valid) {
+    log.warn('Rejected webhook', {
+      method: req.method,
+      url: req.originalUrl,
+      ip: clientIp(req),
+      reason: signature ? 'invalid signature' : 'missing signature',
+    });
+    return res.status(403).type('text/plain').send('Forbidden');
+  }
+  next();
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', tokenSecret).update(payload).digest('base64url');
+}
+
+function pruneExpired(now = Date.now()) {
+  for (const [nonce, expiresAt] of issuedTokens) {
+    if (expiresAt <= now) issuedTokens.delete(nonce);
+  }
+}
+
+// Token format: <callSid>.<expiresAt>.<nonce>.<hmac>
+function issueStreamToken(callSid) {
+  pruneExpired();
+  const expiresAt = Date.now() + TOKEN_TTL_MS;
+  const nonce = crypto.randomBytes(12).toString('hex');
+  const payload = `${callSid}.${expiresAt}.${nonce}`;
+  issuedTokens.set(nonce, expiresAt);
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns null if the token is valid for this call (and burns it),
+// otherwise the reason it was refused
+function consumeStreamToken(token, callSid) {
+  if (!token) return 'missing stream token';
+
+  const parts = String(token).split('.');
+  if (parts.length !== 4) return 'malformed stream token';
+  const [tokenCallSid, expiresAt, nonce, signature] = parts;
+
+  // Compare bytes: a multibyte signature can match in characters, not in length
+  const given = Buffer.from(signature);
+  const expected = Buffer.from(sign(`${tokenCallSid}.${expiresAt}.${nonce}`));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return 'bad stream token signature';
+  }
+  if (tokenCallSid !== callSid) return 'stream token issued for another call';
+  if (Number(expiresAt) <= Date.now()) return 'stream token expired';
+  if (!issuedTokens.has(nonce)) return 'stream token already used';
+
+  issuedTokens.delete(nonce);
+  return null;
+}
+
+module.exports = {
+  isEnabled,
+  trustProxySetting,
+  clientIp,
+  validateWebhook,
+  issueStreamToken,
+  consumeStreamToken,
+};
@@ -0,0 +1,235 @@
+// services/twilioSimulator.js
+//
+// Plays Twilio against our own server so a whole call can run on a laptop or
+// in CI: POSTs a signed /voice/incoming-call webhook, reads the <Stream> URL
+// and parameters from the TwiML, opens the media stream and sends connected /
+// start / media / stop built from a recording, 20 ms per frame. The bot's
+// media, mark and clear messages are played out on the stream clock (see
+// services/fakeTwilioSocket.js) and marks are echoed back once
+// their audio has played, as Twilio does.
+//
+// After the recording ends the stream keeps sending silence, like a caller
+// who stopped talking, until the bot has been quiet for idleMs (or maxWaitMs
+// passes), then hangs up with a stop event.
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+const WebSocket = require('ws');
+const audioFormat = require('../utils/audioFormat');
+const FakeTwilioSocket = require('./fakeTwilioSocket');
+
+const FRAME_MS = 20;
+const SILENCE = 0xff; // μ-law zero
+
+function randomSid(prefix) {
+  return prefix + crypto.randomBytes(16).toString('hex');
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// { url, parameters } of the first <Stream> in a TwiML document, or null
+function parseStream(twiml) {
+  const stream = /<Stream\b([^>]*?)(\/>|>([\s\S]*?)<\/Stream>)/.exec(twiml);
+  if (!stream) return null;
+  const url = /\burl="([^"]*)"/.exec(stream[1]);
+  if (!url) return null;
+  const parameters = {};
+  for (const [, name, value] of (stream[3] || '').matchAll(/<Parameter\s+name="([^"]*)"\s+value="([^"]*)"\s*\/>/g)) {
+    parameters[unescapeXml(name)] = unescapeXml(value);
+  }
+  return { url: unescapeXml(url[1]), parameters };
+}
+
+// Options:
+//   baseUrl      where the server listens, e.g. http://localhost:3000
+//   audio        8 kHz μ-law Buffer (see audioFormat.readTelephoneAudio)
+//   authToken    signs the webhook; omit when signature checks are off
+//   publicUrl    base URL the server believes it has (NGROK_URL), for signing
+//   query        extra /voice/incoming-call query parameters (tuning, vadStrategy, ...)
+//   wsUrl        media stream URL override; by default the TwiML's, with
+//                wss:// downgraded to ws:// when baseUrl is plain http
+//   speed        1 = real time (default); 2 sends frames twice as fast
+//   idleMs       hang up once the caller is done and the bot has been quiet
+//                this long (default 3000)
+//   maxWaitMs    longest wait after the recording for the bot (default 30000)
+//   onEvent      ({ atMs, event, ... }) for progress output
+// Resolves to { callSid, streamSid, streamUrl, parameters, framesSent,
+// outbound: [{ atMs, message }], callerAudio, botAudio }.
+async function simulateCall(options) {
+  const baseUrl = options.baseUrl.replace(/\/$/, '');
+  const speed = options.speed || 1;
+  const idleMs = options.idleMs !== undefined ? options.idleMs : 3000;
+  const maxWaitMs = options.maxWaitMs !== undefined ? options.maxWaitMs : 30000;
+  let nowMs = 0; // stream clock
+  const emit = (event, fields = {}) => options.onEvent && options.onEvent({ atMs: nowMs, event, ...fields });
+
+  const accountSid = options.accountSid || randomSid('AC');
+  const callSid = options.callSid || randomSid('CA');
+  const streamSid = randomSid('MZ');
+  const query = new URLSearchParams(options.query || {}).toString();
+  const webhookPath = `/voice/incoming-call${query ? `?${query}` : ''}`;
+  const form = {
+    AccountSid: accountSid,
+    CallSid: callSid,
+    From: options.from || '+15005550006',
+    To: options.to || '+15005550001',
+    CallStatus: 'ringing',
+    Direction: 'inbound',
+    ApiVersion: '2010-04-01',
+  };
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (options.authToken) {
+    const signedUrl = `${(options.publicUrl || baseUrl).replace(/\/$/, '')}${webhookPath}`;
+    headers['X-Twilio-Signature'] = twilio.getExpectedTwilioSignature(options.authToken, signedUrl, form);
+  }
+
+  const response = await fetch(`${baseUrl}${webhookPath}`, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams(form).toString(),
+  });
+  const twiml = await response.text();
+  if (!response.ok) {
+    throw new Error(`Webhook returned ${response.status}: ${twiml.slice(0, 200)}`);
+  }
+  const stream = parseStream(twiml);
+  if (!stream) throw new Error('Webhook TwiML has no <Stream>');
+  let streamUrl = options.wsUrl || stream.url;
+  if (!options.wsUrl && baseUrl.startsWith('http://')) {
+    // Our TwiML always says wss://; a local server only speaks ws://
+    const { host } = new URL(baseUrl);
+    streamUrl = streamUrl.replace(/^wss:\/\/[^/]+/, `ws://${host}`);
+  }
+  emit('webhook', { status: response.status, streamUrl, parameters: stream.parameters });
+
+  const ws = new WebSocket(streamUrl);
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  // A socket error mid-call is followed by 'close', which ends the loop below;
+  // the run then fails with the error instead of the process crashing
+  let socketError = null;
+  ws.on('error', (error) => {
+    socketError = error;
+    emit('socketError', { error: error.message });
+  });
+  let closed = null;
+  ws.on('close', (code, reason) => {
+    closed = { code, reason: reason.toString() };
+    emit('closed', closed);
+  });
+
+  let sequenceNumber = 0;
+  const send = (message) => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ ...message, sequenceNumber: String(++sequenceNumber) }));
+  };
+
+  // Twilio's side of playback: what the bot sent, and when it has played
+  const outbound = [];
+  let lastOutboundAt = Date.now();
+  const playback = new FakeTwilioSocket(() => nowMs, (message, info) => {
+    outbound.push({ atMs: nowMs, message });
+    lastOutboundAt = Date.now();
+    emit(message.event, message.event === 'mark' ? { name: message.mark.name } : info);
+  });
+  ws.on('message', (data) => {
+    try {
+      playback.send(data.toString());
+    } catch (error) {
+      emit('badMessage', { error: error.message });
+    }
+  });
+  const echoMarks = () => {
+    for (const mark of playback.takeDueMarks(nowMs)) {
+      send({ event: 'mark', streamSid, mark: { name: mark.name } });
+    }
+  };
+
+  ws.send(JSON.stringify({ event: 'connected', protocol: 'Call', version: '1.0.0' }));
+  send({
+    event: 'start',
+    streamSid,
+    start: {
+      accountSid,
+      streamSid,
+      callSid,
+      tracks: ['inbound'],
+      customParameters: stream.parameters,
+      mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+    },
+  });
+
+  const frames = audioFormat.toFrames(options.audio);
+  const silence = Buffer.alloc(audioFormat.FRAME_BYTES, SILENCE);
+  const startedAt = Date.now();
+  let waitStartedAt = null;
+  let framesSent = 0;
+  while (!closed) {
+    const frame = frames[framesSent];
+    if (!frame) {
+      // Recording done: keep the line open until the bot is finished
+      if (waitStartedAt === null) {
+        waitStartedAt = Date.now();
+        emit('callerDone');
+      }
+      const botIdle = playback.pendingMarks.length === 0 && playback.playbackEndMs <= nowMs &&
+        Date.now() - Math.max(lastOutboundAt, waitStartedAt) >= idleMs;
+      if (botIdle || Date.now() - waitStartedAt >= maxWaitMs) break;
+    }
+    send({
+      event: 'media',
+      streamSid,
+      media: {
+        track: 'inbound',
+        chunk: String(framesSent + 1),
+        timestamp: String(nowMs),
+        payload: (frame || silence).toString('base64'),
+      },
+    });
+    framesSent++;
+    nowMs = framesSent * FRAME_MS;
+    echoMarks();
+    const wait = startedAt + nowMs / speed - Date.now();
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+  }
+
+  send({ event: 'stop', streamSid, stop: { accountSid, callSid } });
+  emit('stop');
+  if (!closed) {
+    ws.close();
+    await new Promise((resolve) => ws.once('close', resolve));
+  }
+  if (socketError) throw socketError;
+
+  // Both tracks on the stream clock, same length
+  const length = Math.max(framesSent * audioFormat.FRAME_BYTES, Math.ceil(playback.playbackEndMs * 8));
+  const callerAudio = Buffer.alloc(length, SILENCE);
+  options.audio.copy(callerAudio, 0, 0, Math.min(options.audio.length, framesSent * audioFormat.FRAME_BYTES));
+  const botAudio = Buffer.alloc(length, SILENCE);
+  playback.botAudio.forEach(({ atMs, mulaw }) => mulaw.copy(botAudio, Math.round(atMs * 8)));
+
+  return {
+    callSid,
+    streamSid,
+    streamUrl,
+    parameters: stream.parameters,
+    framesSent,
+    outbound,
+    callerAudio,
+    botAudio,
+  };
+}
+
+module.exports = {
+  parseStream,
+  simulateCall,
+};
@@ -0,0 +1,117 @@
+// services/utteranceSegmenter.js
+//
+// Cuts the μ-law audio of one utterance out of the inbound stream. Between
+// utterances frames only go into a ring buffer holding the last `preRollMs`,
+// so the utterance can start slightly before VAD onset (soft consonants and
+// breath the VAD misses). When the turn ends the audio is trimmed to
+// `postRollMs` after the last voiced frame; the rest of the end-of-turn
+// silence goes back into the ring as pre-roll for the next utterance.
+
+const config = require('../config');
+const { SAMPLE_RATE, FRAME_BYTES } = require('../utils/audioFormat');
+
+const FRAME_MS = (FRAME_BYTES * 1000) / SAMPLE_RATE;
+
+function durationMs(frames) {
+  return Math.round((frames.reduce((total, frame) => total + frame.length, 0) * 1000) / SAMPLE_RATE);
+}
+
+// Fixed-capacity FIFO; pushing onto a full ring overwrites the oldest frame
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    if (this.capacity === 0) return;
+    this.items[(this.start + this.length) % this.capacity] = item;
+    if (this.length < this.capacity) this.length++;
+    else this.start = (this.start + 1) % this.capacity;
+  }
+
+  // The newest `count` items, oldest first
+  last(count = this.length) {
+    const n = Math.min(count, this.length);
+    const out = [];
+    for (let i = this.length - n; i < this.length; i++) {
+      out.push(this.items[(this.start + i) % this.capacity]);
+    }
+    return out;
+  }
+
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
+
+class UtteranceSegmenter {
+  constructor(options = {}) {
+    const settings = { ...config.audio, ...options };
+    this.preRollFrames = Math.round(settings.preRollMs / FRAME_MS);
+    this.postRollFrames = Math.round(settings.postRollMs / FRAME_MS);
+    // Room for the pre-roll plus the onset frames of a barge-in
+    this.ring = new RingBuffer(this.preRollFrames + (settings.bargeInFrames || 0) + 1);
+    this.frames = null; // the utterance being recorded, or null between utterances
+    this.lastVoiced = -1;
+    this.preRollTaken = 0;
+  }
+
+  get active() {
+    return this.frames !== null;
+  }
+
+  // Every inbound frame, whatever the processor is doing with it
+  push(frame) {
+    if (this.active) this.frames.push(frame);
+    else this.ring.push(frame);
+  }
+
+  // VAD onset. The newest `voicedFrames` pushed frames are speech; the
+  // pre-roll is taken from just before them.
+  begin(voicedFrames = 1) {
+    this.frames = this.ring.last(this.preRollFrames + voicedFrames);
+    this.ring.clear();
+    this.preRollTaken = Math.max(0, this.frames.length - voicedFrames);
+    this.lastVoiced = this.frames.length - 1;
+  }
+
+  // The frame just pushed was voiced
+  markVoiced() {
+    if (this.active) this.lastVoiced = this.frames.length - 1;
+  }
+
+  // Ends the utterance: { audio, audioMs, voicedMs, preRollMs, postRollMs, trimmedMs };
+  // voicedMs spans VAD onset to the last voiced frame, without the padding
+  finish() {
+    if (!this.active) return null;
+    const frames = this.frames;
+    const end = Math.min(frames.length, this.lastVoiced + 1 + this.postRollFrames);
+    const kept = frames.slice(0, end);
+    const trimmed = frames.slice(end);
+    this.frames = null;
+    trimmed.forEach((frame) => this.ring.push(frame));
+
+    return {
+      audio: Buffer.concat(kept),
+      audioMs: durationMs(kept),
+      voicedMs: durationMs(frames.slice(this.preRollTaken, this.lastVoiced + 1)),
+      preRollMs: this.preRollTaken * FRAME_MS,
+      postRollMs: (end - this.lastVoiced - 1) * FRAME_MS,
+      trimmedMs: durationMs(trimmed),
+    };
+  }
+
+  // Drops an utterance in progress; the pre-roll ring is kept
+  cancel() {
+    this.frames = null;
+    this.lastVoiced = -1;
+  }
+}
+
+module.exports = UtteranceSegmenter;
+module.exports.RingBuffer = RingBuffer;
@@ -1,4 +1,8 @@
 const WebSocket = require('ws');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'websocketManager' });
 
 class WebSocketManager {
   constructor() {
@@ -32,7 +36,7 @@ class WebSocketManager {
         req,
         timestamp: Date.now()
       });
-      console.log(`Pending connection (Key: ${req.headers['sec-websocket-key']})`);
+      log.debug('Pending connection', { key: req.headers['sec-websocket-key'] });
     });
   }
 
@@ -40,7 +44,7 @@ class WebSocketManager {
 async  completeUpgrade(callSid) {
   // Find any pending connection (Twilio may not send the same key)
   if (this.pendingConnections.size === 0) {
-    console.log('No pending connections, but proceeding anyway');
+    log.warn('No pending connections, but proceeding anyway');
   }
 
   // Get the first pending connection (modify as needed for your use case)
@@ -48,7 +52,7 @@ async  completeUpgrade(callSid) {
   
   if (conn) {
     this.pendingConnections.delete(key);
-    console.log(`Processing pending connection for ${callSid}`);
+    log.info('Processing pending connection', { callSid });
   }
 
   return new Promise((resolve) => {
@@ -59,8 +63,8 @@ async  completeUpgrade(callSid) {
 
     // Mock upgrade if no pending connection exists
     if (!conn) {
-      console.log(`Creating new connection for ${callSid}`);
-      const mockSocket = new WebSocket(`wss://${config.NGROK_URL}/stream`);
+      log.info('Creating new connection', { callSid });
+      const mockSocket = new WebSocket(`${config.server.publicUrl.replace(/^http/, 'ws').replace(/\/$/, '')}/stream`);
       mockSocket.callSid = callSid;
       this.activeConnections.set(callSid, mockSocket);
       return resolve(true);
@@ -73,7 +77,7 @@ async  completeUpgrade(callSid) {
       (ws) => {
         ws.callSid = callSid;
         this.activeConnections.set(callSid, ws);
-        console.log(`Successfully upgraded connection for ${callSid}`);
+        log.info('Successfully upgraded connection', { callSid });
         resolve(true);
       }
     );
@@ -0,0 +1,89 @@
+// test/endpointer.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Endpointer = require('../services/endpointer');
+const { transcriptCue } = require('../services/endpointer');
+
+const SETTINGS = { adaptive: true, minSilenceMs: 300, maxSilenceMs: 1600, shortUtteranceMs: 600, silenceFrames: 40 };
+
+// Speech, then `pauseFrames` of silence, `count` times; ends on speech
+function speakWithPauses(endpointer, count, pauseFrames, speechFrames = 10) {
+  for (let i = 0; i < count; i++) {
+    for (let k = 0; k < speechFrames; k++) endpointer.push(true);
+    for (let k = 0; k < pauseFrames; k++) endpointer.push(false);
+  }
+  for (let k = 0; k < speechFrames; k++) endpointer.push(true);
+}
+
+test('transcriptCue reads the end of a partial transcript', () => {
+  assert.equal(transcriptCue(''), null);
+  assert.equal(transcriptCue(null), null);
+  assert.equal(transcriptCue('What are your opening hours?'), 'complete-sentence');
+  assert.equal(transcriptCue('I said "no."'), 'complete-sentence');
+  assert.equal(transcriptCue('I would like to book,'), 'unfinished-clause');
+  assert.equal(transcriptCue('Well...'), 'unfinished-clause');
+  assert.equal(transcriptCue('So…'), 'unfinished-clause');
+  assert.equal(transcriptCue('I need, um'), 'hesitation');
+  assert.equal(transcriptCue('A table for two and'), 'continuation');
+  assert.equal(transcriptCue('A table for two'), null);
+});
+
+test('requiredSilence is the baseline when adaptive is off', () => {
+  const endpointer = new Endpointer({ ...SETTINGS, adaptive: false });
+  endpointer.onPartial('and');
+  assert.deepEqual(endpointer.requiredSilence(), { requiredMs: 800, cues: [] });
+});
+
+test('short utterances end sooner', () => {
+  const endpointer = new Endpointer(SETTINGS);
+  assert.deepEqual(endpointer.requiredSilence(), { requiredMs: 480, cues: ['short-utterance'] });
+  endpointer.startUtterance(30);
+  assert.deepEqual(endpointer.requiredSilence(), { requiredMs: 800, cues: [] });
+});
+
+test('transcript cues stretch or shorten the silence', () => {
+  const endpointer = new Endpointer(SETTINGS);
+  endpointer.startUtterance(30);
+  endpointer.onPartial('I want to');
+  assert.deepEqual(endpointer.requiredSilence(), { requiredMs: 1280, cues: ['continuation'] });
+  endpointer.onPartial('Thanks, goodbye.');
+  assert.deepEqual(endpointer.requiredSilence(), { requiredMs: 600, cues: ['complete-sentence'] });
+});
+
+test('requiredSilence is clamped to [minSilenceMs, maxSilenceMs]', () => {
+  const short = new Endpointer({ ...SETTINGS, minSilenceMs: 400 });
+  short.onPartial('Yes.');
+  assert.deepEqual(short.requiredSilence(), {
+    requiredMs: 400,
+    cues: ['short-utterance', 'complete-sentence', 'min-silence'],
+  });
+
+  const long = new Endpointer({ ...SETTINGS, silenceFrames: 60 });
+  long.startUtterance(30);
+  long.onPartial('because');
+  assert.deepEqual(long.requiredSilence(), { requiredMs: 1600, cues: ['continuation', 'max-silence'] });
+});
+
+test('the pause rhythm is blended with the baseline', () => {
+  const endpointer = new Endpointer(SETTINGS);
+  speakWithPauses(endpointer, 3, 10); // three 200 ms pauses
+  // rhythm 200 * 1.25 + 100 = 350 ms, averaged with the 800 ms baseline
+  assert.deepEqual(endpointer.requiredSilence(), { requiredMs: 575, cues: ['pause-rhythm'] });
+
+  endpointer.setBaseline(60);
+  assert.equal(endpointer.requiredSilence().requiredMs, 775);
+});
+
+test('the pause rhythm needs a few pauses and ignores VAD flicker', () => {
+  const endpointer = new Endpointer(SETTINGS);
+  speakWithPauses(endpointer, 2, 10);
+  speakWithPauses(endpointer, 5, 2);
+  assert.deepEqual(endpointer.requiredSilence(), { requiredMs: 800, cues: [] });
+});
+
+test('push ends the turn once the silence reaches the required length', () => {
+  const endpointer = new Endpointer(SETTINGS);
+  endpointer.startUtterance(30);
+  for (let k = 0; k < 39; k++) assert.equal(endpointer.push(false), null);
+  assert.deepEqual(endpointer.push(false), { requiredMs: 800, silenceMs: 800, speechMs: 600, cues: [] });
+});
@@ -0,0 +1,21 @@
+// test/twilioAuth.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { issueStreamToken, consumeStreamToken } = require('../services/twilioAuth');
+
+test('a stream token is accepted once, for its own call', () => {
+  const token = issueStreamToken('CA1');
+  assert.equal(consumeStreamToken(token, 'CA2'), 'stream token issued for another call');
+  assert.equal(consumeStreamToken(token, 'CA1'), null);
+  assert.equal(consumeStreamToken(token, 'CA1'), 'stream token already used');
+});
+
+test('a malformed stream token is refused, not thrown on', () => {
+  assert.equal(consumeStreamToken(undefined, 'CA1'), 'missing stream token');
+  assert.equal(consumeStreamToken('a.b.c', 'CA1'), 'malformed stream token');
+
+  const [callSid, expiresAt, nonce, signature] = issueStreamToken('CA1').split('.');
+  // Same length in characters as the real signature, longer in bytes
+  const multibyte = `${callSid}.${expiresAt}.${nonce}.${'é'.repeat(signature.length)}`;
+  assert.equal(consumeStreamToken(multibyte, 'CA1'), 'bad stream token signature');
+});
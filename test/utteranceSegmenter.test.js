@@ -0,0 +1,121 @@
+// test/utteranceSegmenter.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const UtteranceSegmenter = require('../services/utteranceSegmenter');
+const { RingBuffer } = require('../services/utteranceSegmenter');
+
+// 20 ms μ-law frame whose bytes all hold `id`, so frames can be told apart
+function frame(id) {
+  return Buffer.alloc(160, id);
+}
+
+function frameIds(audio) {
+  const ids = [];
+  for (let offset = 0; offset < audio.length; offset += 160) ids.push(audio[offset]);
+  return ids;
+}
+
+test('RingBuffer keeps the newest items, oldest first', () => {
+  const ring = new RingBuffer(3);
+  assert.deepEqual(ring.last(), []);
+  [1, 2].forEach((item) => ring.push(item));
+  assert.deepEqual(ring.last(), [1, 2]);
+  [3, 4, 5].forEach((item) => ring.push(item));
+  assert.deepEqual(ring.last(), [3, 4, 5]);
+  assert.deepEqual(ring.last(2), [4, 5]);
+  assert.deepEqual(ring.last(10), [3, 4, 5]);
+  ring.clear();
+  assert.equal(ring.length, 0);
+  assert.deepEqual(ring.last(), []);
+});
+
+test('RingBuffer with no capacity holds nothing', () => {
+  const ring = new RingBuffer(0);
+  ring.push(1);
+  assert.deepEqual(ring.last(), []);
+});
+
+test('UtteranceSegmenter pads the voiced span with pre- and post-roll', () => {
+  const segmenter = new UtteranceSegmenter({ preRollMs: 40, postRollMs: 40, bargeInFrames: 0 });
+  for (let id = 0; id < 5; id++) segmenter.push(frame(id));
+  assert.equal(segmenter.active, false);
+
+  segmenter.begin(1); // frame 4 triggered the VAD
+  assert.equal(segmenter.active, true);
+  segmenter.push(frame(5));
+  segmenter.markVoiced();
+  for (let id = 6; id < 10; id++) segmenter.push(frame(id));
+
+  const utterance = segmenter.finish();
+  assert.deepEqual(frameIds(utterance.audio), [2, 3, 4, 5, 6, 7]);
+  assert.equal(utterance.audioMs, 120);
+  assert.equal(utterance.voicedMs, 40);
+  assert.equal(utterance.preRollMs, 40);
+  assert.equal(utterance.postRollMs, 40);
+  assert.equal(utterance.trimmedMs, 40);
+  assert.equal(segmenter.active, false);
+  assert.equal(segmenter.finish(), null);
+});
+
+test('UtteranceSegmenter reuses trimmed silence as the next pre-roll', () => {
+  const segmenter = new UtteranceSegmenter({ preRollMs: 40, postRollMs: 0, bargeInFrames: 0 });
+  segmenter.push(frame(0));
+  segmenter.begin(1);
+  for (let id = 1; id < 4; id++) segmenter.push(frame(id));
+  assert.deepEqual(frameIds(segmenter.finish().audio), [0]);
+
+  segmenter.push(frame(4));
+  segmenter.begin(1);
+  assert.deepEqual(frameIds(segmenter.finish().audio), [2, 3, 4]);
+});
+
+test('UtteranceSegmenter counts barge-in onset frames as voiced', () => {
+  const segmenter = new UtteranceSegmenter({ preRollMs: 20, postRollMs: 0, bargeInFrames: 3 });
+  for (let id = 0; id < 6; id++) segmenter.push(frame(id));
+  segmenter.begin(3);
+  const utterance = segmenter.finish();
+  assert.deepEqual(frameIds(utterance.audio), [2, 3, 4, 5]);
+  assert.equal(utterance.voicedMs, 60);
+  assert.equal(utterance.preRollMs, 20);
+});
+
+test('UtteranceSegmenter.cancel drops the utterance', () => {
+  const segmenter = new UtteranceSegmenter({ preRollMs: 20, postRollMs: 0, bargeInFrames: 0 });
+  segmenter.push(frame(0));
+  segmenter.begin(1);
+  segmenter.push(frame(1));
+  segmenter.cancel();
+  assert.equal(segmenter.active, false);
+  assert.equal(segmenter.finish(), null);
+});
+
+// A default segmenter's result for `voicedFrames` of speech in silence
+function segmentOf(voicedFrames) {
+  const segmenter = new UtteranceSegmenter();
+  for (let k = 0; k < 20; k++) segmenter.push(frame(0));
+  segmenter.push(frame(1));
+  segmenter.begin(1);
+  for (let k = 1; k < voicedFrames; k++) {
+    segmenter.push(frame(1));
+    segmenter.markVoiced();
+  }
+  for (let k = 0; k < 40; k++) segmenter.push(frame(0));
+  return segmenter.finish();
+}
+
+test('the default minUtteranceMs sits between a click and a one-word answer', () => {
+  // The shipped defaults, whatever this environment overrides
+  const { audio, vad } = config.SCHEMA;
+  const minUtteranceMs = audio.minUtteranceMs.default;
+  const requiredVoicedFrames = vad.requiredVoicedFrames.default;
+  const hangoverTime = vad.hangoverTime.default;
+  // A click: just enough frames to trigger the VAD, then its longest hangover
+  const click = segmentOf(requiredVoicedFrames + hangoverTime + 2);
+  // A clipped "yes" or "no", 300 ms before any hangover
+  const answer = segmentOf(15);
+  assert.ok(click.voicedMs < minUtteranceMs, `click voicedMs ${click.voicedMs}`);
+  assert.ok(answer.voicedMs >= minUtteranceMs, `answer voicedMs ${answer.voicedMs}`);
+  // The old 500 ms check measured the padded audio, which a click cleared
+  assert.ok(click.audioMs >= 500, `click audioMs ${click.audioMs}`);
+});
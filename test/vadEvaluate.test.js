@@ -0,0 +1,52 @@
+// test/vadEvaluate.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreDecisions, summarize } = require('../utils/vad/evaluate');
+
+// Per-frame decisions with frames [from, to) voiced
+function decisions(length, ...runs) {
+  const out = new Array(length).fill(false);
+  for (const [from, to] of runs) out.fill(true, from, to);
+  return out;
+}
+
+test('scoreDecisions counts frames and measures onset and offset', () => {
+  // Speech over frames 5..14; the detector is voiced over 7..16
+  const stats = scoreDecisions(decisions(25, [7, 17]), [{ startMs: 100, endMs: 300 }]);
+  assert.equal(stats.frames, 25);
+  assert.deepEqual([stats.tp, stats.fp, stats.fn, stats.tn], [8, 2, 2, 13]);
+  assert.equal(stats.segments, 1);
+  assert.equal(stats.missedSegments, 0);
+  assert.deepEqual(stats.onsetLatenciesMs, [60]);
+  assert.deepEqual(stats.offsetLatenciesMs, [40]);
+  assert.equal(stats.falseTriggers, 0);
+});
+
+test('scoreDecisions reports an early offset as negative', () => {
+  const stats = scoreDecisions(decisions(25, [5, 12]), [{ startMs: 100, endMs: 300 }]);
+  assert.deepEqual(stats.onsetLatenciesMs, [20]);
+  assert.deepEqual(stats.offsetLatenciesMs, [-60]);
+});
+
+test('scoreDecisions counts missed segments and false triggers', () => {
+  const segments = [{ startMs: 100, endMs: 200 }, { startMs: 400, endMs: 460 }];
+  const stats = scoreDecisions(decisions(30, [5, 10], [14, 16]), segments);
+  assert.equal(stats.segments, 2);
+  assert.equal(stats.missedSegments, 1);
+  assert.equal(stats.falseTriggers, 1);
+  assert.deepEqual(stats.onsetLatenciesMs, [20]);
+});
+
+test('scoreDecisions ignores segments past the end of the audio', () => {
+  const stats = scoreDecisions(decisions(10), [{ startMs: 1000, endMs: 1200 }]);
+  assert.equal(stats.segments, 0);
+  assert.equal(stats.tn, 10);
+});
+
+test('summarize keeps early and late offsets from cancelling out', () => {
+  const segments = [{ startMs: 100, endMs: 300 }, { startMs: 500, endMs: 700 }];
+  // Lets go 60 ms early on the first segment, 60 ms late on the second
+  const summary = summarize(scoreDecisions(decisions(45, [5, 12], [25, 38]), segments));
+  assert.equal(summary.offsetMs, 0);
+  assert.equal(summary.offsetAbsMs, 60);
+});
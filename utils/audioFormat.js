@@ -0,0 +1,181 @@
+// File: utils/audioFormat.js
+//
+// G.711 μ-law codec and a small WAV reader/writer for the offline tools.
+// Twilio Media Streams carry 8 kHz mono μ-law in 20 ms frames (160 bytes),
+// so everything here converts to and from that.
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_RATE = 8000;
+const FRAME_BYTES = 160; // 20 ms of μ-law
+const MULAW_BIAS = 0x84;
+// AudioProcessor zeroes inbound samples quieter than this before VAD
+const INPUT_NOISE_GATE = 200;
+
+function mulawToPcmSample(mulaw) {
+  mulaw = ~mulaw & 0xff;
+  const sign = mulaw & 0x80;
+  const exponent = (mulaw >> 4) & 0x07;
+  const mantissa = mulaw & 0x0f;
+  const sample = exponent === 0
+    ? (mantissa << 1) + MULAW_BIAS
+    : ((mantissa | 0x10) << (exponent + 3)) + MULAW_BIAS;
+  return Math.max(-32768, Math.min(32767, sign ? -sample : sample));
+}
+
+function pcmToMulawSample(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  const magnitude = Math.min(Math.abs(sample), 32635) + MULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; exponent--, mask >>= 1);
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+// μ-law bytes -> 16-bit LE PCM. Samples quieter than noiseGate become 0,
+// as AudioProcessor does before VAD.
+function mulawToPcm(mulaw, { noiseGate = 0 } = {}) {
+  const pcm = Buffer.alloc(mulaw.length * 2);
+  for (let i = 0; i < mulaw.length; i++) {
+    let sample = mulawToPcmSample(mulaw[i]);
+    if (Math.abs(sample) < noiseGate) sample = 0;
+    pcm.writeInt16LE(sample, i * 2);
+  }
+  return pcm;
+}
+
+function pcmToMulaw(pcm) {
+  const mulaw = Buffer.alloc(Math.floor(pcm.length / 2));
+  for (let i = 0; i < mulaw.length; i++) mulaw[i] = pcmToMulawSample(pcm.readInt16LE(i * 2));
+  return mulaw;
+}
+
+// Parses a RIFF/WAVE file with 16-bit PCM (format 1) or μ-law (format 7)
+// data. Returns { sampleRate, channels, samples: Int16Array of interleaved samples }.
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === 'data') {
+      if (!format) throw new Error('WAV data chunk before fmt chunk');
+      // Streaming writers leave the size at 0 or 0xffffffff
+      const end = size === 0 || body + size > buffer.length ? buffer.length : body + size;
+      const data = buffer.subarray(body, end);
+      let samples;
+      if (format.audioFormat === 1 && format.bitsPerSample === 16) {
+        samples = new Int16Array(Math.floor(data.length / 2));
+        for (let i = 0; i < samples.length; i++) samples[i] = data.readInt16LE(i * 2);
+      } else if (format.audioFormat === 7 && format.bitsPerSample === 8) {
+        samples = Int16Array.from(data, mulawToPcmSample);
+      } else {
+        throw new Error(`Unsupported WAV encoding (format ${format.audioFormat}, ${format.bitsPerSample} bit)`);
+      }
+      return { sampleRate: format.sampleRate, channels: format.channels, samples };
+    }
+    offset = body + size + (size % 2); // chunks are word aligned
+  }
+  throw new Error('WAV file has no data chunk');
+}
+
+// Mono 8 kHz 16-bit PCM from interleaved samples at any rate: channels are
+// averaged and the rate converted by linear interpolation (telephone audio
+// needs nothing better).
+function toTelephonePcm({ sampleRate, channels, samples }) {
+  const frames = Math.floor(samples.length / channels);
+  const mono = new Float64Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += samples[i * channels + c];
+    mono[i] = sum / channels;
+  }
+  const length = Math.floor((frames * SAMPLE_RATE) / sampleRate);
+  const pcm = Buffer.alloc(length * 2);
+  for (let i = 0; i < length; i++) {
+    const position = (i * sampleRate) / SAMPLE_RATE;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, frames - 1);
+    const value = mono[index] + (mono[next] - mono[index]) * (position - index);
+    pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value))), i * 2);
+  }
+  return pcm;
+}
+
+// Reads .wav (any rate) or raw 8 kHz μ-law (.ulaw, .mulaw, .raw) and returns
+// the audio as Twilio would send it: 8 kHz μ-law bytes.
+function readTelephoneAudio(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  if (path.extname(filePath).toLowerCase() !== '.wav') return buffer;
+  return pcmToMulaw(toTelephonePcm(parseWav(buffer)));
+}
+
+// Splits μ-law audio into 20 ms frames; a short last frame is dropped
+function toFrames(mulaw, frameBytes = FRAME_BYTES) {
+  const frames = [];
+  for (let offset = 0; offset + frameBytes <= mulaw.length; offset += frameBytes) {
+    frames.push(mulaw.subarray(offset, offset + frameBytes));
+  }
+  return frames;
+}
+
+// 16-bit PCM (format 1) or μ-law (format 7) WAV; multi-channel data is interleaved
+function encodeWav(data, { sampleRate = SAMPLE_RATE, encoding = 'pcm', channels = 1 } = {}) {
+  const mulaw = encoding === 'mulaw';
+  const bytesPerSample = mulaw ? 1 : 2;
+  const blockAlign = bytesPerSample * channels;
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(mulaw ? 7 : 1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bytesPerSample * 8, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+// Two μ-law tracks (left, right) as one 16-bit stereo WAV, cut to the shorter
+function encodeStereoWav(leftMulaw, rightMulaw) {
+  const samples = Math.min(leftMulaw.length, rightMulaw.length);
+  const interleaved = Buffer.alloc(samples * 4);
+  for (let i = 0; i < samples; i++) {
+    interleaved.writeInt16LE(mulawToPcmSample(leftMulaw[i]), i * 4);
+    interleaved.writeInt16LE(mulawToPcmSample(rightMulaw[i]), i * 4 + 2);
+  }
+  return encodeWav(interleaved, { channels: 2 });
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  FRAME_BYTES,
+  INPUT_NOISE_GATE,
+  mulawToPcmSample,
+  pcmToMulawSample,
+  mulawToPcm,
+  pcmToMulaw,
+  parseWav,
+  toTelephonePcm,
+  readTelephoneAudio,
+  toFrames,
+  encodeWav,
+  encodeStereoWav,
+};
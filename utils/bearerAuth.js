@@ -0,0 +1,18 @@
+// File: utils/bearerAuth.js
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Express middleware accepting only "Authorization: Bearer <token>"
+function requireBearerToken(token, label = 'request') {
+  const expected = Buffer.from(`Bearer ${token}`);
+  return (req, res, next) => {
+    const given = Buffer.from(req.get('Authorization') || '');
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return next();
+    logger.warn(`Rejected ${label}`, { method: req.method, url: req.originalUrl, ip: req.ip });
+    res.set('WWW-Authenticate', 'Bearer').status(401).send('Unauthorized');
+  };
+}
+
+module.exports = {
+  requireBearerToken
+};
@@ -3,6 +3,9 @@ const { spawn } = require('child_process');
 const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
 const fs = require('fs');
 const path = require('path');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'ffmpeg' });
 
 async function saveMuLawToFile(buffer, filename = 'input.ulaw') {
   const filePath = path.join(__dirname, '../temp', filename);
@@ -30,7 +33,7 @@ async function convertMuLawToWavBuffer(muLawBuffer) {
     });
 
     ffmpeg.on('error', reject);
-    ffmpeg.stderr.on('data', data => console.log(data.toString()));
+    ffmpeg.stderr.on('data', data => log.debug('ffmpeg', { stderr: data.toString().trim() }));
     
     // Write the mu-law buffer to FFmpeg's stdin
     ffmpeg.stdin.write(muLawBuffer);
@@ -49,7 +52,7 @@ async function convertMuLawToWav(inputPath, outputPath) {
       outputPath
     ]);
 
-    ffmpeg.stderr.on('data', data => console.log(data.toString()));
+    ffmpeg.stderr.on('data', data => log.debug('ffmpeg', { stderr: data.toString().trim() }));
     ffmpeg.on('close', code => {
       if (code === 0) resolve(outputPath);
       else reject(new Error(`FFmpeg failed with code ${code}`));
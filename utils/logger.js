@@ -0,0 +1,77 @@
+// File: utils/logger.js
+//
+// Small structured logger. One JSON object per line by default
+// (LOG_FORMAT=pretty for human-readable output while developing), with
+// levels (LOG_LEVEL, default info) and child loggers that carry fields such
+// as callSid / streamSid / turnId on every line. A child's level can be
+// changed at runtime without touching other calls.
+
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, name: value.name, stack: value.stack, code: value.code };
+  }
+  return value;
+}
+
+class Logger {
+  constructor(bindings = {}, parent = null) {
+    this.bindings = bindings;
+    this.parent = parent;
+    this.level = parent ? null : config.logging.level;
+    this.format = config.logging.format;
+  }
+
+  child(bindings = {}) {
+    return new Logger({ ...this.bindings, ...bindings }, this);
+  }
+
+  // null makes a child follow its parent again
+  setLevel(level) {
+    if (level !== null && !LEVELS[level]) throw new Error(`Unknown log level "${level}"`);
+    this.level = level;
+  }
+
+  getLevel() {
+    return this.level || (this.parent ? this.parent.getLevel() : 'info');
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.getLevel()];
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...this.bindings };
+    for (const [key, value] of Object.entries(fields)) entry[key] = serialize(value);
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${this.format === 'pretty' ? pretty(entry) : JSON.stringify(entry)}\n`);
+  }
+
+  debug(msg, fields) { this.write('debug', msg, fields); }
+  info(msg, fields) { this.write('info', msg, fields); }
+  warn(msg, fields) { this.write('warn', msg, fields); }
+  error(msg, fields) { this.write('error', msg, fields); }
+}
+
+function pretty({ time, level, msg, ...fields }) {
+  const extras = Object.entries(fields)
+    .map(([key, value]) => {
+      if (value && typeof value === 'object') {
+        return `${key}=${value.stack && value.message ? value.message : JSON.stringify(value)}`;
+      }
+      return `${key}=${value}`;
+    })
+    .join(' ');
+  return `[${time.replace('T', ' ').replace('Z', '')}] ${level.toUpperCase().padEnd(5)} ${msg}${extras ? ` ${extras}` : ''}`;
+}
+
+const rootLogger = new Logger();
+
+module.exports = rootLogger;
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
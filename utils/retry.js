@@ -0,0 +1,67 @@
+// File: utils/retry.js
+
+const logger = require('./logger');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, timeoutMs, label = 'operation') {
+  if (!timeoutMs) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs} ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Exponential backoff: backoffMs, 2x, 4x, ...
+function backoffDelay(attempt, backoffMs) {
+  return backoffMs * Math.pow(2, attempt);
+}
+
+// Runs task(attempt) up to retries + 1 times, each attempt bounded by timeoutMs.
+// deadlineAt (epoch ms) caps the whole run: attempts are cut short to fit and
+// no retry starts after it. onRetry(attempt, error) runs before each retry.
+async function withRetry(task, {
+  retries = 0,
+  timeoutMs = 0,
+  backoffMs = 250,
+  deadlineAt = 0,
+  onRetry = null,
+  label = 'operation',
+  log = logger,
+} = {}) {
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const remaining = deadlineAt ? deadlineAt - Date.now() : Infinity;
+    if (remaining <= 0) break;
+    const limit = Math.min(timeoutMs || Infinity, remaining);
+    try {
+      return await withTimeout(Promise.resolve().then(() => task(attempt)), limit === Infinity ? 0 : limit, label);
+    } catch (error) {
+      lastError = error;
+      const delay = backoffDelay(attempt, backoffMs);
+      if (attempt < retries && (!deadlineAt || Date.now() + delay < deadlineAt)) {
+        log.warn(`${label} failed, retrying`, {
+          attempt: attempt + 1,
+          attempts: retries + 1,
+          delayMs: delay,
+          error: error.message,
+        });
+        if (onRetry) onRetry(attempt + 1, error);
+        await sleep(delay);
+      } else {
+        break;
+      }
+    }
+  }
+  throw lastError || new Error(`${label} ran out of time`);
+}
+
+module.exports = {
+  sleep,
+  withTimeout,
+  backoffDelay,
+  withRetry
+};
@@ -0,0 +1,12 @@
+// File: utils/safePath.js
+
+// Makes an outside value (a callSid from Twilio, say) usable as one path
+// segment: anything but letters, digits, "_" and "-" becomes "_", so it can
+// never climb out of the directory it is joined onto
+function safeSegment(value) {
+  return String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+module.exports = {
+  safeSegment
+};
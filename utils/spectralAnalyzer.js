@@ -0,0 +1,221 @@
+// File: utils/spectralAnalyzer.js
+//
+// Per-frame spectral features for voice activity detection, in plain JS.
+// A frame of 16-bit PCM is Hann-windowed, zero-padded to a power of two and
+// run through an in-place radix-2 FFT. Tables and work buffers are allocated
+// once per analyzer, so a 20 ms frame (160 samples at 8 kHz) costs a 256-point
+// FFT plus a short autocorrelation, with no per-frame buffer allocation.
+
+const EPSILON = 1e-10;
+
+// Window, bit-reversal and twiddle tables are shared by every analyzer of a size
+const tableCache = new Map();
+
+function tablesFor(fftSize, frameLength) {
+  const key = `${fftSize}:${frameLength}`;
+  if (tableCache.has(key)) return tableCache.get(key);
+
+  const bits = Math.log2(fftSize);
+  const reversed = new Uint32Array(fftSize);
+  for (let i = 0; i < fftSize; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) r = (r << 1) | ((i >> b) & 1);
+    reversed[i] = r;
+  }
+
+  const cos = new Float64Array(fftSize / 2);
+  const sin = new Float64Array(fftSize / 2);
+  for (let i = 0; i < fftSize / 2; i++) {
+    cos[i] = Math.cos((2 * Math.PI * i) / fftSize);
+    sin[i] = -Math.sin((2 * Math.PI * i) / fftSize);
+  }
+
+  const window = new Float64Array(frameLength);
+  for (let i = 0; i < frameLength; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (frameLength - 1));
+  }
+
+  const tables = { reversed, cos, sin, window };
+  tableCache.set(key, tables);
+  return tables;
+}
+
+function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+}
+
+class SpectralAnalyzer {
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 8000;
+    this.frameLength = options.frameLength || 160; // samples
+    this.fftSize = options.fftSize || nextPowerOfTwo(this.frameLength);
+    // Band edges in Hz: low < lowMidHz <= mid < midHighHz <= high
+    this.lowMidHz = options.lowMidHz || 500;
+    this.midHighHz = options.midHighHz || 2000;
+    // Pitch search range; the longest lag is capped so that at least 40% of
+    // the frame overlaps, which keeps the correlation estimate meaningful
+    this.minPitchHz = options.minPitchHz || 70;
+    this.maxPitchHz = options.maxPitchHz || 400;
+
+    this.tables = tablesFor(this.fftSize, this.frameLength);
+    this.re = new Float64Array(this.fftSize);
+    this.im = new Float64Array(this.fftSize);
+    this.power = new Float64Array(this.fftSize / 2 + 1);
+    this.samples = new Float64Array(this.frameLength);
+    this.correlations = new Float64Array(Math.ceil(this.sampleRate / this.minPitchHz) + 2);
+  }
+
+  // pcm: Buffer of 16-bit little-endian samples. Reads up to frameLength samples.
+  analyze(pcm) {
+    const count = this.load(pcm);
+    this.computePowerSpectrum();
+    return {
+      ...this.spectralShape(),
+      ...this.pitch(count),
+    };
+  }
+
+  // Power per FFT bin (0 .. fftSize / 2, bin k at k * sampleRate / fftSize Hz).
+  // The returned array is reused by the next call.
+  powerSpectrum(pcm) {
+    this.load(pcm);
+    this.computePowerSpectrum();
+    return this.power;
+  }
+
+  // Copy the frame into the work buffer with its DC offset removed
+  load(pcm) {
+    const count = Math.min(this.frameLength, Math.floor(pcm.length / 2));
+    const { samples } = this;
+    let mean = 0;
+    for (let i = 0; i < count; i++) {
+      samples[i] = pcm.readInt16LE(i * 2);
+      mean += samples[i];
+    }
+    mean = count > 0 ? mean / count : 0;
+    for (let i = 0; i < count; i++) samples[i] -= mean;
+    for (let i = count; i < this.frameLength; i++) samples[i] = 0;
+    return count;
+  }
+
+  computePowerSpectrum() {
+    const { re, im, power, samples, fftSize } = this;
+    const { window } = this.tables;
+    re.fill(0);
+    im.fill(0);
+    for (let i = 0; i < this.frameLength; i++) re[i] = samples[i] * window[i];
+    this.fft(re, im);
+    for (let k = 0; k <= fftSize / 2; k++) power[k] = re[k] * re[k] + im[k] * im[k];
+  }
+
+  // In-place iterative radix-2 FFT
+  fft(re, im) {
+    const n = this.fftSize;
+    const { reversed, cos, sin } = this.tables;
+    for (let i = 0; i < n; i++) {
+      const j = reversed[i];
+      if (j > i) {
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+      const half = size >> 1;
+      const step = n / size;
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0; k < half; k++) {
+          const wr = cos[k * step];
+          const wi = sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  }
+
+  // Centroid, band energies and flatness from the power spectrum (DC skipped)
+  spectralShape() {
+    const { power, fftSize, sampleRate } = this;
+    const binHz = sampleRate / fftSize;
+    let total = 0;
+    let weighted = 0;
+    let logSum = 0;
+    let lowFreqEnergy = 0;
+    let midFreqEnergy = 0;
+    let highFreqEnergy = 0;
+    const bins = fftSize / 2;
+
+    for (let k = 1; k <= bins; k++) {
+      const p = power[k];
+      const frequency = k * binHz;
+      total += p;
+      weighted += p * frequency;
+      logSum += Math.log(p + EPSILON);
+      if (frequency < this.lowMidHz) lowFreqEnergy += p;
+      else if (frequency < this.midHighHz) midFreqEnergy += p;
+      else highFreqEnergy += p;
+    }
+
+    const arithmeticMean = total / bins;
+    return {
+      spectralCentroid: total > 0 ? weighted / total : 0,
+      // 1 for white noise, towards 0 for tonal / harmonic frames
+      spectralFlatness: total > 0 ? Math.min(1, Math.exp(logSum / bins) / (arithmeticMean + EPSILON)) : 1,
+      lowFreqEnergy,
+      midFreqEnergy,
+      highFreqEnergy,
+    };
+  }
+
+  // Normalized autocorrelation pitch estimate. harmonicity is the correlation
+  // at the chosen lag: near 1 for voiced speech, near 0 for noise.
+  pitch(count) {
+    const { samples, sampleRate } = this;
+    const minLag = Math.max(2, Math.floor(sampleRate / this.maxPitchHz));
+    const maxLag = Math.min(Math.ceil(sampleRate / this.minPitchHz), Math.floor(count * 0.6));
+    if (maxLag <= minLag + 1) return { pitchHz: 0, harmonicity: 0 };
+
+    const { correlations } = this;
+    let best = 0;
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+      let cross = 0;
+      let energyA = 0;
+      let energyB = 0;
+      for (let i = 0; i + lag < count; i++) {
+        const a = samples[i];
+        const b = samples[i + lag];
+        cross += a * b;
+        energyA += a * a;
+        energyB += b * b;
+      }
+      const r = energyA > 0 && energyB > 0 ? cross / Math.sqrt(energyA * energyB) : 0;
+      correlations[lag] = r;
+      if (lag >= minLag && lag <= maxLag && r > best) best = r;
+    }
+    if (best <= 0) return { pitchHz: 0, harmonicity: 0 };
+
+    // Shortest lag whose local peak is close to the best one avoids octave errors
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const r = correlations[lag];
+      if (r >= best * 0.9 && r >= correlations[lag - 1] && r >= correlations[lag + 1]) {
+        // Parabolic interpolation around the peak
+        const left = correlations[lag - 1];
+        const right = correlations[lag + 1];
+        const denominator = left - 2 * r + right;
+        const offset = denominator !== 0 ? (0.5 * (left - right)) / denominator : 0;
+        return { pitchHz: sampleRate / (lag + offset), harmonicity: r };
+      }
+    }
+    return { pitchHz: 0, harmonicity: best };
+  }
+}
+
+module.exports = SpectralAnalyzer;
@@ -0,0 +1,96 @@
+// File: utils/vad/energyGate.js
+//
+// Minimal VAD: a frame is speech when its RMS clears both the configured
+// threshold and a multiple of the tracked noise floor, and its zero-crossing
+// rate looks like voice rather than hiss or hum. A short hangover bridges
+// the gaps between words. Cheap, predictable, and a useful baseline.
+
+const logger = require('../logger');
+
+class EnergyGateVAD {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? 600;
+    this.hangoverTime = options.hangoverTime ?? 5;
+    this.noiseRatio = options.noiseRatio ?? 3; // speech must be this much louder than the floor
+    this.minZcr = options.minZcr ?? 0.01;
+    this.maxZcr = options.maxZcr ?? 0.35;
+    this.initialBackgroundNoise = options.backgroundNoise ?? 80;
+    this.debug = options.debug || false;
+    this.log = options.logger || logger.child({ component: 'vad' });
+    this.reset();
+  }
+
+  detect(pcm) {
+    if (!pcm || pcm.length < 4) return false;
+
+    let sum = 0;
+    let crossings = 0;
+    let previous = 0;
+    const samples = Math.floor(pcm.length / 2);
+    for (let i = 0; i < samples; i++) {
+      const sample = pcm.readInt16LE(i * 2);
+      sum += sample * sample;
+      if (i > 0 && (sample >= 0) !== (previous >= 0)) crossings++;
+      previous = sample;
+    }
+    const rms = Math.sqrt(sum / samples);
+    const zcr = crossings / samples;
+
+    const gate = Math.max(this.threshold, this.backgroundNoise * this.noiseRatio);
+    const voiced = rms > gate && zcr > this.minZcr && zcr < this.maxZcr;
+
+    if (voiced) {
+      this.hangoverCounter = this.hangoverTime;
+    } else {
+      // Track the floor on non-speech frames: quickly down, slowly up
+      const rate = rms < this.backgroundNoise ? 0.2 : 0.02;
+      this.backgroundNoise += (rms - this.backgroundNoise) * rate;
+      if (this.hangoverCounter > 0) this.hangoverCounter--;
+    }
+    const decision = voiced || this.hangoverCounter > 0;
+
+    this.lastRms = rms;
+    this.lastZcr = zcr;
+    this.lastGate = gate;
+    if (this.debug) {
+      this.log.debug('VAD frame', {
+        rms: Number(rms.toFixed(2)),
+        zcr: Number(zcr.toFixed(3)),
+        gate: Number(gate.toFixed(1)),
+        decision,
+      });
+    }
+    return decision;
+  }
+
+  reset() {
+    this.backgroundNoise = this.initialBackgroundNoise;
+    this.hangoverCounter = 0;
+    this.lastRms = 0;
+    this.lastZcr = 0;
+    this.lastGate = this.threshold;
+  }
+
+  updateThreshold(newThreshold) {
+    this.threshold = newThreshold;
+  }
+
+  getBackgroundNoise() {
+    return this.backgroundNoise;
+  }
+
+  getDiagnostics() {
+    return {
+      strategy: 'energy',
+      threshold: this.threshold,
+      hangoverTime: this.hangoverTime,
+      backgroundNoise: this.backgroundNoise,
+      gate: this.lastGate,
+      lastRms: this.lastRms,
+      lastZcr: this.lastZcr,
+      hangoverCounter: this.hangoverCounter,
+    };
+  }
+}
+
+module.exports = EnergyGateVAD;
@@ -0,0 +1,241 @@
+// File: utils/vad/evaluate.js
+//
+// Offline evaluation of VAD strategies against labelled recordings.
+//
+// A dataset is a directory of audio files (.wav at any rate, or raw 8 kHz
+// μ-law as .ulaw / .mulaw / .raw), each with a sidecar annotation of the same
+// base name listing its speech segments in seconds:
+//   call1.json  {"speech": [[0.52, 1.80], [2.40, 3.95]]}
+//   call1.txt   Audacity label track: "0.52<TAB>1.80<TAB>label" per line
+// Audio goes through the same path as a live call (μ-law, the inbound noise
+// gate, 20 ms frames) so scores carry over to production.
+
+const fs = require('fs');
+const path = require('path');
+const audioFormat = require('../audioFormat');
+const { createVad } = require('./index');
+
+const FRAME_MS = 20;
+const AUDIO_EXTENSIONS = ['.wav', '.ulaw', '.mulaw', '.raw'];
+
+function parseSegments(text, format) {
+  let segments;
+  if (format === 'json') {
+    const parsed = JSON.parse(text);
+    segments = Array.isArray(parsed) ? parsed : parsed.speech;
+    if (!Array.isArray(segments)) throw new Error('expected {"speech": [[start, end], ...]}');
+  } else {
+    segments = text.split(/\r?\n/)
+      .filter((line) => line.trim() && !line.startsWith('\\')) // "\" lines are Audacity frequency data
+      .map((line) => line.split('\t').slice(0, 2).map(Number));
+  }
+  for (const segment of segments) {
+    const [start, end] = segment;
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start || start < 0) {
+      throw new Error(`invalid segment ${JSON.stringify(segment)}`);
+    }
+  }
+  return segments
+    .map(([start, end]) => ({ startMs: start * 1000, endMs: end * 1000 }))
+    .sort((a, b) => a.startMs - b.startMs);
+}
+
+// Speech segments for an audio file, or null when it has no annotation
+function loadSegments(audioPath) {
+  const base = audioPath.slice(0, -path.extname(audioPath).length);
+  for (const format of ['json', 'txt']) {
+    const labelPath = `${base}.${format}`;
+    if (!fs.existsSync(labelPath)) continue;
+    try {
+      return parseSegments(fs.readFileSync(labelPath, 'utf8'), format);
+    } catch (error) {
+      throw new Error(`${labelPath}: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+// Decodes every annotated recording in `dir` once; returns
+// { items: [{ name, frames (PCM as the VAD sees it), segments }], skipped: [names] }
+function loadDataset(dir) {
+  const items = [];
+  const skipped = [];
+  for (const name of fs.readdirSync(dir).sort()) {
+    if (!AUDIO_EXTENSIONS.includes(path.extname(name).toLowerCase())) continue;
+    const audioPath = path.join(dir, name);
+    const segments = loadSegments(audioPath);
+    if (!segments) {
+      skipped.push(name);
+      continue;
+    }
+    const frames = audioFormat.toFrames(audioFormat.readTelephoneAudio(audioPath))
+      .map((frame) => audioFormat.mulawToPcm(frame, { noiseGate: audioFormat.INPUT_NOISE_GATE }));
+    items.push({ name, frames, segments });
+  }
+  return { items, skipped };
+}
+
+function frameRange({ startMs, endMs }) {
+  // Frames whose centre lies inside the segment
+  return [Math.round(startMs / FRAME_MS), Math.round(endMs / FRAME_MS)];
+}
+
+function labelFrames(segments, frameCount) {
+  const labels = new Uint8Array(frameCount);
+  for (const segment of segments) {
+    const [from, to] = frameRange(segment);
+    labels.fill(1, Math.min(from, frameCount), Math.min(to, frameCount));
+  }
+  return labels;
+}
+
+// Compares per-frame decisions with the annotation. A decision for frame k
+// is available at the end of that frame, which is what latencies measure.
+function scoreDecisions(decisions, segments) {
+  const labels = labelFrames(segments, decisions.length);
+  const stats = {
+    frames: decisions.length,
+    tp: 0, fp: 0, fn: 0, tn: 0,
+    segments: 0,
+    missedSegments: 0,
+    onsetLatenciesMs: [],
+    offsetLatenciesMs: [],
+    falseTriggers: 0,
+  };
+
+  for (let k = 0; k < decisions.length; k++) {
+    if (decisions[k] && labels[k]) stats.tp++;
+    else if (decisions[k]) stats.fp++;
+    else if (labels[k]) stats.fn++;
+    else stats.tn++;
+  }
+
+  segments.forEach((segment, index) => {
+    const [from, to] = frameRange(segment);
+    if (from >= decisions.length) return;
+    stats.segments++;
+    const end = Math.min(to, decisions.length);
+    let first = -1;
+    let last = -1;
+    for (let k = from; k < end; k++) {
+      if (!decisions[k]) continue;
+      if (first < 0) first = k;
+      last = k;
+    }
+    if (first < 0) {
+      stats.missedSegments++;
+      return;
+    }
+    stats.onsetLatenciesMs.push(Math.max(0, (first + 1) * FRAME_MS - segment.startMs));
+    // Follow a run that is still voiced at the segment end up to the next segment
+    const next = index + 1 < segments.length ? frameRange(segments[index + 1])[0] : decisions.length;
+    if (last === end - 1) {
+      while (last + 1 < Math.min(next, decisions.length) && decisions[last + 1]) last++;
+    }
+    // Negative: the detector let go before the speaker finished
+    stats.offsetLatenciesMs.push((last + 1) * FRAME_MS - segment.endMs);
+  });
+
+  // A voiced run that touches no labelled speech at all
+  for (let k = 0; k < decisions.length; k++) {
+    if (!decisions[k] || (k > 0 && decisions[k - 1])) continue;
+    let touchesSpeech = false;
+    for (let j = k; j < decisions.length && decisions[j]; j++) {
+      if (labels[j]) {
+        touchesSpeech = true;
+        break;
+      }
+    }
+    if (!touchesSpeech) stats.falseTriggers++;
+  }
+  return stats;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, x) => sum + x, 0) / values.length : null;
+}
+
+function summarize(stats) {
+  const precision = stats.tp + stats.fp > 0 ? stats.tp / (stats.tp + stats.fp) : 0;
+  const recall = stats.tp + stats.fn > 0 ? stats.tp / (stats.tp + stats.fn) : 0;
+  const minutes = (stats.frames * FRAME_MS) / 60000;
+  return {
+    precision,
+    recall,
+    f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+    onsetMs: mean(stats.onsetLatenciesMs),
+    offsetMs: mean(stats.offsetLatenciesMs),
+    // Early and late offsets cancel out in offsetMs; this is what ranks
+    offsetAbsMs: mean(stats.offsetLatenciesMs.map(Math.abs)),
+    segments: stats.segments,
+    missedSegments: stats.missedSegments,
+    falseTriggers: stats.falseTriggers,
+    falseTriggersPerMin: minutes > 0 ? stats.falseTriggers / minutes : 0,
+  };
+}
+
+function merge(total, stats) {
+  for (const key of ['frames', 'tp', 'fp', 'fn', 'tn', 'segments', 'missedSegments', 'falseTriggers']) {
+    total[key] += stats[key];
+  }
+  total.onsetLatenciesMs.push(...stats.onsetLatenciesMs);
+  total.offsetLatenciesMs.push(...stats.offsetLatenciesMs);
+  return total;
+}
+
+// Runs one fresh detector per recording, as each call gets its own.
+// Returns { overall, files: [{ name, ...summary }] }.
+function evaluate(dataset, { strategy, params = {} } = {}) {
+  const total = scoreDecisions([], []);
+  const files = dataset.items.map(({ name, frames, segments }) => {
+    const vad = createVad(strategy, params);
+    const decisions = frames.map((frame) => vad.detect(frame));
+    const stats = scoreDecisions(decisions, segments);
+    merge(total, stats);
+    return { name, ...summarize(stats) };
+  });
+  return { overall: summarize(total), files };
+}
+
+// { threshold: [400, 600], hangoverTime: [3, 5] } -> every combination
+function expandGrid(grid) {
+  return Object.entries(grid).reduce(
+    (combos, [name, values]) => combos.flatMap((combo) => values.map((value) => ({ ...combo, [name]: value }))),
+    [{}]
+  );
+}
+
+// Higher is better for these; everything else is a cost
+const MAXIMIZE = new Set(['precision', 'recall', 'f1']);
+
+function compareBy(metric) {
+  const sign = MAXIMIZE.has(metric) ? -1 : 1;
+  // Letting go too early is as bad as hanging on too long
+  const key = metric === 'offsetMs' ? 'offsetAbsMs' : metric;
+  return (a, b) =>
+    sign * ((a.overall[key] ?? Infinity) - (b.overall[key] ?? Infinity)) ||
+    b.overall.f1 - a.overall.f1 ||
+    a.overall.falseTriggers - b.overall.falseTriggers;
+}
+
+// Evaluates every combination of `grid` on top of `params`, best first
+function sweep(dataset, { strategy, params = {}, grid, rankBy = 'f1', onProgress } = {}) {
+  const combos = expandGrid(grid);
+  const results = combos.map((combo, index) => {
+    const result = { params: combo, ...evaluate(dataset, { strategy, params: { ...params, ...combo } }) };
+    if (onProgress) onProgress(index + 1, combos.length);
+    return result;
+  });
+  return results.sort(compareBy(rankBy));
+}
+
+module.exports = {
+  FRAME_MS,
+  loadSegments,
+  loadDataset,
+  scoreDecisions,
+  summarize,
+  evaluate,
+  expandGrid,
+  sweep,
+};
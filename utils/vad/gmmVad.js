@@ -0,0 +1,235 @@
+// File: utils/vad/gmmVad.js
+//
+// WebRTC-style statistical VAD. Each frame is split into six sub-bands (from
+// the FFT power spectrum) and every band's log energy is scored against two
+// Gaussian mixture models, one for noise and one for speech. The weighted sum
+// of per-band log-likelihood ratios decides the frame; a single band with a
+// very strong ratio is enough on its own. Whichever model won is then nudged
+// towards the frame, so both track the line and the caller over the call.
+//
+// Loud stationary noise (a fan, a hum on the line) can look like speech to the
+// starting models and would then only ever train the speech model. As in
+// WebRTC, each band also tracks its minimum over the last two seconds, and the
+// noise model is pulled up whenever that floor sits above it.
+//
+// `threshold` only gates near-silence here (frames under threshold / 4 RMS are
+// never speech); the models make the actual decision.
+
+const logger = require('../logger');
+const SpectralAnalyzer = require('../spectralAnalyzer');
+
+// Sub-band edges in Hz, the same split WebRTC uses at 8 kHz
+const BANDS = [[80, 250], [250, 500], [500, 1000], [1000, 2000], [2000, 3000], [3000, 4000]];
+const BAND_WEIGHTS = [0.1, 0.2, 0.2, 0.2, 0.15, 0.15];
+
+// Initial mixtures per band in dB of mean bin power (roughly 20 * log10(rms) + 17
+// for a flat spectrum). Two components each: { weight, mean, std }.
+const NOISE_MODEL = BANDS.map(() => [
+  { weight: 0.6, mean: 50, std: 6 },
+  { weight: 0.4, mean: 58, std: 8 },
+]);
+const SPEECH_MODEL = [
+  [75, 90], [75, 88], [72, 85], [65, 78], [58, 70], [52, 64],
+].map(([low, high]) => [
+  { weight: 0.5, mean: low, std: 10 },
+  { weight: 0.5, mean: high, std: 10 },
+]);
+
+const MIN_STD = 2;
+const MAX_STD = 20;
+const MIN_SEPARATION_DB = 6; // speech components stay at least this far above noise
+const MINIMUM_WINDOW = 100; // frames (2 s) of history for the noise floor
+const WARMUP_FRAMES = 10; // floor tracking starts after this; speech adapts after a full window
+const MINIMUM_TO_MEAN_DB = 6; // noise sits this far above its running minimum
+const FLOOR_PULL_RATE = 0.05;
+const MAX_ABOVE_MINIMUM_DB = 12; // noise never drifts further above the floor than this
+const MIN_BAND_LLR = -2; // a band without speech energy only weakly argues against speech
+
+function gaussian(x, { mean, std }) {
+  const z = (x - mean) / std;
+  return Math.exp(-0.5 * z * z) / (std * Math.sqrt(2 * Math.PI));
+}
+
+function likelihood(x, mixture) {
+  let p = 0;
+  for (const component of mixture) p += component.weight * gaussian(x, component);
+  return p;
+}
+
+function cloneModel(model) {
+  return model.map((mixture) => mixture.map((component) => ({ ...component })));
+}
+
+class GmmVAD {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? 600;
+    this.hangoverTime = options.hangoverTime ?? 5;
+    this.globalThreshold = options.globalThreshold ?? 1; // weighted LLR sum
+    this.localThreshold = options.localThreshold ?? 4; // any single band
+    this.noiseAdaptRate = options.noiseAdaptRate ?? 0.05;
+    this.speechAdaptRate = options.speechAdaptRate ?? 0.02;
+    this.initialBackgroundNoise = options.backgroundNoise ?? 80;
+    this.debug = options.debug || false;
+    this.log = options.logger || logger.child({ component: 'vad' });
+
+    const frameSize = options.frameSize ?? 320; // bytes of 16-bit PCM
+    this.analyzer = new SpectralAnalyzer({ frameLength: frameSize / 2 });
+    const binHz = this.analyzer.sampleRate / this.analyzer.fftSize;
+    this.bandBins = BANDS.map(([low, high]) => [
+      Math.max(1, Math.ceil(low / binHz)),
+      Math.min(this.analyzer.fftSize / 2, Math.ceil(high / binHz) - 1),
+    ]);
+    this.features = new Float64Array(BANDS.length);
+    this.history = BANDS.map(() => new Float64Array(MINIMUM_WINDOW));
+    this.reset();
+  }
+
+  detect(pcm) {
+    if (!pcm || pcm.length < 4) return false;
+
+    const rms = this.frameRms(pcm);
+    const power = this.analyzer.powerSpectrum(pcm);
+    let llrSum = 0;
+    let llrMax = -Infinity;
+    for (let b = 0; b < BANDS.length; b++) {
+      const [from, to] = this.bandBins[b];
+      let sum = 0;
+      for (let k = from; k <= to; k++) sum += power[k];
+      const x = 10 * Math.log10(sum / (to - from + 1) + 1);
+      this.features[b] = x;
+
+      let llr = Math.log((likelihood(x, this.speechModel[b]) + 1e-300) /
+        (likelihood(x, this.noiseModel[b]) + 1e-300));
+      // The wider speech model wins far below the noise too; that is not speech
+      if (x < this.noiseModel[b][0].mean) llr = Math.min(llr, 0);
+      llrSum += BAND_WEIGHTS[b] * Math.max(llr, MIN_BAND_LLR);
+      llrMax = Math.max(llrMax, llr);
+    }
+
+    const voiced = rms >= this.threshold / 4 &&
+      (llrSum > this.globalThreshold || llrMax > this.localThreshold);
+    // Until the floor is known, a "speech" frame may just be a loud line
+    if (!voiced) this.adapt(this.noiseModel, this.noiseAdaptRate);
+    else if (this.frameCount >= MINIMUM_WINDOW) this.adapt(this.speechModel, this.speechAdaptRate);
+    this.trackNoiseFloor();
+    this.keepApart();
+
+    // Longer bursts earn the full hangover, isolated frames only one
+    if (voiced) {
+      this.consecutiveVoiced++;
+      this.hangoverCounter = this.consecutiveVoiced >= 3 ? this.hangoverTime : Math.min(1, this.hangoverTime);
+    } else {
+      this.consecutiveVoiced = 0;
+      this.backgroundNoise += (rms - this.backgroundNoise) * 0.05;
+      if (this.hangoverCounter > 0) this.hangoverCounter--;
+    }
+    const decision = voiced || this.hangoverCounter > 0;
+
+    this.lastRms = rms;
+    this.lastLlr = llrSum;
+    if (this.debug) {
+      this.log.debug('VAD frame', {
+        rms: Number(rms.toFixed(2)),
+        llr: Number(llrSum.toFixed(2)),
+        maxBandLlr: Number(llrMax.toFixed(2)),
+        bandsDb: Array.from(this.features, (x) => Number(x.toFixed(1))),
+        decision,
+      });
+    }
+    return decision;
+  }
+
+  frameRms(pcm) {
+    let sum = 0;
+    const samples = Math.floor(pcm.length / 2);
+    for (let i = 0; i < samples; i++) {
+      const sample = pcm.readInt16LE(i * 2);
+      sum += sample * sample;
+    }
+    return Math.sqrt(sum / samples);
+  }
+
+  // One online EM step: move each component in proportion to its responsibility
+  adapt(model, rate) {
+    for (let b = 0; b < BANDS.length; b++) {
+      const x = this.features[b];
+      const mixture = model[b];
+      const total = likelihood(x, mixture);
+      if (total <= 0) continue;
+      for (const component of mixture) {
+        const responsibility = (component.weight * gaussian(x, component)) / total;
+        const step = rate * responsibility;
+        const delta = x - component.mean;
+        component.mean += step * delta;
+        const variance = component.std * component.std + step * (delta * delta - component.std * component.std);
+        component.std = Math.min(MAX_STD, Math.max(MIN_STD, Math.sqrt(Math.max(variance, 0))));
+      }
+    }
+  }
+
+  trackNoiseFloor() {
+    const slot = this.frameCount % MINIMUM_WINDOW;
+    this.frameCount++;
+    for (let b = 0; b < BANDS.length; b++) this.history[b][slot] = this.features[b];
+    if (this.frameCount < WARMUP_FRAMES) return; // Not enough history yet
+
+    const filled = Math.min(this.frameCount, MINIMUM_WINDOW);
+    for (let b = 0; b < BANDS.length; b++) {
+      let minimum = Infinity;
+      for (let i = 0; i < filled; i++) minimum = Math.min(minimum, this.history[b][i]);
+      const target = minimum + MINIMUM_TO_MEAN_DB;
+      for (const component of this.noiseModel[b]) {
+        if (component.mean < target) component.mean += (target - component.mean) * FLOOR_PULL_RATE;
+        // Misclassified speech must not drag the noise model up with it
+        component.mean = Math.min(component.mean, minimum + MAX_ABOVE_MINIMUM_DB);
+      }
+    }
+  }
+
+  keepApart() {
+    for (let b = 0; b < BANDS.length; b++) {
+      const noiseTop = Math.max(...this.noiseModel[b].map((component) => component.mean));
+      for (const component of this.speechModel[b]) {
+        component.mean = Math.max(component.mean, noiseTop + MIN_SEPARATION_DB);
+      }
+    }
+  }
+
+  reset() {
+    this.noiseModel = cloneModel(NOISE_MODEL);
+    this.speechModel = cloneModel(SPEECH_MODEL);
+    this.backgroundNoise = this.initialBackgroundNoise;
+    this.consecutiveVoiced = 0;
+    this.hangoverCounter = 0;
+    this.frameCount = 0;
+    this.lastRms = 0;
+    this.lastLlr = 0;
+  }
+
+  updateThreshold(newThreshold) {
+    this.threshold = newThreshold;
+  }
+
+  getBackgroundNoise() {
+    return this.backgroundNoise;
+  }
+
+  getDiagnostics() {
+    const means = (model) => model.map((mixture) =>
+      Number(mixture.reduce((sum, component) => sum + component.weight * component.mean, 0).toFixed(1)));
+    return {
+      strategy: 'gmm',
+      threshold: this.threshold,
+      hangoverTime: this.hangoverTime,
+      backgroundNoise: this.backgroundNoise,
+      lastRms: this.lastRms,
+      lastLlr: this.lastLlr,
+      bandsDb: Array.from(this.features, (x) => Number(x.toFixed(1))),
+      noiseMeansDb: means(this.noiseModel),
+      speechMeansDb: means(this.speechModel),
+      hangoverCounter: this.hangoverCounter,
+    };
+  }
+}
+
+module.exports = GmmVAD;
@@ -0,0 +1,53 @@
+// File: utils/vad/index.js
+//
+// Registry of voice activity detectors. Every strategy is built by a factory
+// `(options) => instance` and works on one frame of 16-bit PCM at a time:
+//
+//   detect(pcmFrame) -> boolean    speech in this frame (after smoothing)
+//   reset()                        forget adaptive state between utterances
+//   getDiagnostics() -> object     current internal state for the admin API
+//
+// AudioProcessor also relies on these, so every strategy provides them:
+//   threshold, hangoverTime        tunable per call (see services/audioTuning.js);
+//                                  threshold is the frame RMS below which
+//                                  nothing counts as speech
+//   updateThreshold(rms)
+//   getBackgroundNoise() -> rms    estimated noise level
+//   debug                          log per-frame decisions at debug level
+//
+// Options always include config.vad plus `logger`; a strategy ignores keys
+// it does not use. The default comes from vad.strategy (VAD_STRATEGY) and a
+// call can pick another with the `vadStrategy` <Stream> parameter.
+
+const config = require('../../config');
+const VADDetector = require('../vadDetector');
+const EnergyGateVAD = require('./energyGate');
+const GmmVAD = require('./gmmVad');
+
+const registry = new Map();
+
+function registerVad(name, factory) {
+  registry.set(name, factory);
+}
+
+function listVads() {
+  return [...registry.keys()];
+}
+
+function createVad(name = config.vad.strategy, options = {}) {
+  const factory = registry.get(name);
+  if (!factory) {
+    throw new Error(`No VAD strategy registered as "${name}"`);
+  }
+  return factory({ ...config.vad, ...options });
+}
+
+registerVad('score', (options) => new VADDetector(options));
+registerVad('energy', (options) => new EnergyGateVAD(options));
+registerVad('gmm', (options) => new GmmVAD(options));
+
+module.exports = {
+  registerVad,
+  listVads,
+  createVad,
+};
@@ -1,33 +1,44 @@
+const config = require('../config');
+const logger = require('./logger');
+const SpectralAnalyzer = require('./spectralAnalyzer');
+
 class VADDetector {
   constructor(options = {}) {
-    this.frameSize = options.frameSize || 320;
-    this.threshold = 600; // Lowered for better sensitivity
-    this.smoothingWindow = options.smoothingWindow || 4; // Optimized for responsiveness
-    this.requiredVoicedFrames = options.requiredVoicedFrames || 2;
+    // Defaults come from config.vad; options override them per detector
+    const settings = { ...config.vad, ...options };
+    this.frameSize = settings.frameSize;
+    this.threshold = settings.threshold;
+    this.smoothingWindow = settings.smoothingWindow;
+    this.requiredVoicedFrames = settings.requiredVoicedFrames;
     this.recentVoices = [];
     this.maxRecent = this.smoothingWindow;
-    this.debug = options.debug || false;
+    this.debug = settings.debug;
+    this.log = options.logger || logger.child({ component: 'vad' });
     this.lastRms = 0;
 
     // Enhanced parameters for better voice detection
-    this.minEnergy = 250; // Lowered to catch quieter speech
-    this.maxEnergy = 25000; // Increased range
+    this.minEnergy = settings.minEnergy;
+    this.maxEnergy = settings.maxEnergy;
     this.spectralThreshold = 1200; // Adjusted for better voice detection
     this.spectralCentroid = 0;
+    // frameSize is in bytes of 16-bit PCM
+    this.spectralAnalyzer = new SpectralAnalyzer({ frameLength: this.frameSize / 2 });
+    this.lastFeatures = null;
     this.zeroCrossingRate = 0;
     this.previousFrame = null;
     
     // Advanced adaptive threshold system
     this.adaptiveThreshold = this.threshold;
-    this.backgroundNoise = 80; // Lower initial background noise
-    this.adaptationRate = 0.02; // Faster adaptation
-    this.longTermNoise = 80;
+    this.initialBackgroundNoise = settings.backgroundNoise;
+    this.backgroundNoise = settings.backgroundNoise;
+    this.adaptationRate = settings.adaptationRate;
+    this.longTermNoise = settings.backgroundNoise;
     this.noiseUpdateCounter = 0;
     
     // Enhanced state tracking
     this.consecutiveVoiced = 0;
     this.consecutiveSilence = 0;
-    this.hangoverTime = 5; // Increased hangover for better continuity
+    this.hangoverTime = settings.hangoverTime;
     this.hangoverCounter = 0;
     this.voiceActivityStrength = 0;
     
@@ -56,12 +67,21 @@ class VADDetector {
     const smoothedDecision = this.enhancedTemporalSmoothing(voiceDecision, features);
     
     if (this.debug) {
-      console.log(`[VAD] RMS: ${features.rms.toFixed(2)}, ZCR: ${features.zcr.toFixed(3)}, ` +
-                  `SC: ${features.spectralCentroid.toFixed(1)}, Confidence: ${this.voiceConfidence.toFixed(2)}, ` +
-                  `Decision: ${smoothedDecision}, AdaptThresh: ${this.adaptiveThreshold.toFixed(1)}`);
+      this.log.debug('VAD frame', {
+        rms: Number(features.rms.toFixed(2)),
+        zcr: Number(features.zcr.toFixed(3)),
+        spectralCentroid: Number(features.spectralCentroid.toFixed(1)),
+        spectralFlatness: Number(features.spectralFlatness.toFixed(3)),
+        pitchHz: Number(features.pitchHz.toFixed(1)),
+        harmonicity: Number(features.harmonicity.toFixed(2)),
+        confidence: Number(this.voiceConfidence.toFixed(2)),
+        adaptiveThreshold: Number(this.adaptiveThreshold.toFixed(1)),
+        decision: smoothedDecision,
+      });
     }
 
     this.lastRms = features.rms;
+    this.lastFeatures = features;
     return smoothedDecision;
   }
 
@@ -69,14 +89,9 @@ class VADDetector {
     let sum = 0;
     let samples = 0;
     let zeroCrossings = 0;
-    let spectralSum = 0;
-    let spectralWeightSum = 0;
     let previousSample = 0;
     let peakLevel = 0;
     let energyVariance = 0;
-    let lowFreqEnergy = 0;
-    let midFreqEnergy = 0;
-    let highFreqEnergy = 0;
 
     for (let i = 0; i + 1 < audioData.length; i += 2) {
       const sample = audioData.readInt16LE(i);
@@ -90,25 +105,24 @@ class VADDetector {
       if (i > 0 && ((previousSample >= 0 && sample < 0) || (previousSample < 0 && sample >= 0))) {
         zeroCrossings++;
       }
-      
-      // Spectral analysis (simplified)
-      const magnitude = absSample;
-      const frequency = (i / audioData.length) * 4000;
-      spectralSum += magnitude;
-      spectralWeightSum += magnitude * frequency;
-      
-      // Frequency band analysis
-      if (frequency < 500) lowFreqEnergy += magnitude;
-      else if (frequency < 2000) midFreqEnergy += magnitude;
-      else highFreqEnergy += magnitude;
-      
+
       previousSample = sample;
     }
 
     const rms = Math.sqrt(sum / samples);
     const zcr = zeroCrossings / samples;
-    const spectralCentroid = spectralWeightSum / (spectralSum || 1);
-    
+
+    // Windowed FFT of the frame: centroid in Hz, band energies, flatness, pitch
+    const {
+      spectralCentroid,
+      spectralFlatness,
+      lowFreqEnergy,
+      midFreqEnergy,
+      highFreqEnergy,
+      pitchHz,
+      harmonicity,
+    } = this.spectralAnalyzer.analyze(audioData);
+
     // Calculate spectral balance (voice has good mid-frequency content)
     const totalEnergy = lowFreqEnergy + midFreqEnergy + highFreqEnergy;
     const spectralBalance = totalEnergy > 0 ? midFreqEnergy / totalEnergy : 0;
@@ -123,6 +137,9 @@ class VADDetector {
       rms,
       zcr,
       spectralCentroid,
+      spectralFlatness,
+      pitchHz,
+      harmonicity,
       peakLevel,
       spectralBalance,
       energyVariance,
@@ -303,8 +320,8 @@ class VADDetector {
     this.consecutiveVoiced = 0;
     this.consecutiveSilence = 0;
     this.hangoverCounter = 0;
-    this.backgroundNoise = 80;
-    this.longTermNoise = 80;
+    this.backgroundNoise = this.initialBackgroundNoise;
+    this.longTermNoise = this.initialBackgroundNoise;
     this.adaptiveThreshold = this.threshold;
     this.voiceConfidence = 0;
     this.voiceActivityStrength = 0;
@@ -349,12 +366,15 @@ class VADDetector {
     }
     
     this.adaptiveThreshold = Math.max(this.threshold, this.backgroundNoise * 4);
-    console.log(`[VAD] Background noise calibrated to: ${this.backgroundNoise.toFixed(2)}`);
+    this.log.info('Background noise calibrated', { backgroundNoise: this.backgroundNoise });
   }
 
   // Method to get diagnostic information
   getDiagnostics() {
     return {
+      strategy: 'score',
+      threshold: this.threshold,
+      hangoverTime: this.hangoverTime,
       backgroundNoise: this.backgroundNoise,
       longTermNoise: this.longTermNoise,
       adaptiveThreshold: this.adaptiveThreshold,
@@ -363,7 +383,11 @@ class VADDetector {
       consecutiveVoiced: this.consecutiveVoiced,
       hangoverCounter: this.hangoverCounter,
       recentVoicesCount: this.recentVoices.length,
-      spectralBalance: this.spectralBalance
+      spectralBalance: this.spectralBalance,
+      spectralCentroid: this.lastFeatures ? this.lastFeatures.spectralCentroid : 0,
+      spectralFlatness: this.lastFeatures ? this.lastFeatures.spectralFlatness : 0,
+      pitchHz: this.lastFeatures ? this.lastFeatures.pitchHz : 0,
+      harmonicity: this.lastFeatures ? this.lastFeatures.harmonicity : 0
     };
   }
 }